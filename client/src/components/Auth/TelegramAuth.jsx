@@ -6,12 +6,18 @@
 import React, { useState, useEffect } from 'react';
 import { useWebSocket } from '../../hooks/useWebSocket';
 import { toast } from 'react-hot-toast';
-import { FaTelegram, FaCheckCircle, FaSpinner, FaArrowLeft } from 'react-icons/fa';
+import { QRCodeSVG } from 'qrcode.react';
+import { FaTelegram, FaCheckCircle, FaSpinner, FaArrowLeft, FaLock, FaQrcode } from 'react-icons/fa';
 
 export default function TelegramAuth({ onSuccess }) {
   const { connected, emit, on, off } = useWebSocket();
-  const [step, setStep] = useState('phone'); // phone | waiting | connected
+  const [step, setStep] = useState('phone'); // phone | qr | waiting | code | password | connected
   const [phoneNumber, setPhoneNumber] = useState('');
+  const [loginCode, setLoginCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [passwordHint, setPasswordHint] = useState(null);
+  const [codeViaApp, setCodeViaApp] = useState(true);
+  const [qrUrl, setQrUrl] = useState(null);
   const [loading, setLoading] = useState(false);
   const [deviceInfo, setDeviceInfo] = useState(null);
 
@@ -47,6 +53,28 @@ export default function TelegramAuth({ onSuccess }) {
         toast.success('Check your Telegram app to confirm login');
       },
 
+      'telegram:qrCode': ({ url }) => {
+        setQrUrl(url);
+        setStep('qr');
+        setLoading(false);
+      },
+
+      'telegram:codeRequired': ({ viaApp, retry } = {}) => {
+        setCodeViaApp(viaApp !== false);
+        setLoginCode('');
+        setStep('code');
+        setLoading(false);
+        if (retry) toast.error('Incorrect code. Please try again.');
+      },
+
+      'telegram:passwordRequired': ({ hint, retry } = {}) => {
+        setPasswordHint(hint || null);
+        setPassword('');
+        setStep('password');
+        setLoading(false);
+        if (retry) toast.error('Incorrect password. Please try again.');
+      },
+
       'telegram:loginSuccess': () => {
         setStep('connected');
         setLoading(false);
@@ -102,11 +130,45 @@ export default function TelegramAuth({ onSuccess }) {
     emit('telegram:requestConfirmation', { phoneNumber });
   };
 
+  const handleQrLogin = () => {
+    setLoading(true);
+    setQrUrl(null);
+    emit('telegram:requestQrLogin');
+  };
+
+  const handleSubmitCode = (e) => {
+    e.preventDefault();
+
+    if (!loginCode.trim()) {
+      toast.error('Please enter the login code');
+      return;
+    }
+
+    setLoading(true);
+    emit('telegram:submitCode', { code: loginCode.trim() });
+  };
+
+  const handleSubmitPassword = (e) => {
+    e.preventDefault();
+
+    if (!password) {
+      toast.error('Please enter your two-step verification password');
+      return;
+    }
+
+    setLoading(true);
+    emit('telegram:submitPassword', { password });
+  };
+
   const handleCancel = () => {
     emit('telegram:cancelLogin');
     setStep('phone');
     setLoading(false);
     setDeviceInfo(null);
+    setLoginCode('');
+    setPassword('');
+    setPasswordHint(null);
+    setQrUrl(null);
   };
 
   const handleDisconnect = () => {
@@ -155,6 +217,211 @@ export default function TelegramAuth({ onSuccess }) {
     );
   }
 
+  // ============================================
+  // QR CODE STATE
+  // ============================================
+  if (step === 'qr') {
+    return (
+      <div className="bg-white border border-gray-200 rounded-xl p-8 shadow-sm">
+        {/* Header */}
+        <div className="text-center mb-6">
+          <FaTelegram className="text-[#0088cc] text-6xl mx-auto mb-4" />
+          <h3 className="text-2xl font-bold text-gray-900 mb-2">
+            Scan to Log In
+          </h3>
+          <p className="text-gray-600">
+            Scan this code with the Telegram app on your phone
+          </p>
+        </div>
+
+        {/* QR Code (refreshes automatically until scanned) */}
+        <div className="flex justify-center mb-6">
+          <div className="p-4 bg-white border border-gray-200 rounded-lg">
+            {qrUrl ? (
+              <QRCodeSVG value={qrUrl} size={220} />
+            ) : (
+              <FaSpinner className="animate-spin text-gray-400 text-3xl m-24" />
+            )}
+          </div>
+        </div>
+
+        {/* Instructions */}
+        <div className="bg-gray-50 rounded-lg p-4 mb-6">
+          <p className="text-sm text-gray-700 mb-3 font-medium">
+            To complete login:
+          </p>
+          <ol className="space-y-2 text-sm text-gray-600">
+            <li className="flex items-start gap-2">
+              <span className="font-bold text-blue-600">1.</span>
+              <span>Open Telegram on your phone</span>
+            </li>
+            <li className="flex items-start gap-2">
+              <span className="font-bold text-blue-600">2.</span>
+              <span>Go to <strong>Settings → Devices → Link Desktop Device</strong></span>
+            </li>
+            <li className="flex items-start gap-2">
+              <span className="font-bold text-blue-600">3.</span>
+              <span>Point your phone at this screen</span>
+            </li>
+          </ol>
+        </div>
+
+        {/* Cancel Button */}
+        <button
+          onClick={handleCancel}
+          className="w-full flex items-center justify-center gap-2 text-gray-600 hover:text-gray-900 py-2 transition"
+        >
+          <FaArrowLeft />
+          <span>Use phone number instead</span>
+        </button>
+      </div>
+    );
+  }
+
+  // ============================================
+  // LOGIN CODE STATE
+  // ============================================
+  if (step === 'code') {
+    return (
+      <div className="bg-white border border-gray-200 rounded-xl p-8 shadow-sm">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <FaTelegram className="text-[#0088cc] text-6xl mx-auto mb-4" />
+          <h3 className="text-2xl font-bold text-gray-900 mb-2">
+            Enter Login Code
+          </h3>
+          <p className="text-gray-600">
+            {codeViaApp
+              ? 'Telegram sent a login code to your Telegram app'
+              : 'Telegram sent a login code by SMS'}
+          </p>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmitCode} className="space-y-6">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Login Code
+            </label>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={loginCode}
+              onChange={(e) => setLoginCode(e.target.value)}
+              placeholder="12345"
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-lg tracking-widest text-center"
+              disabled={loading}
+              required
+              autoFocus
+            />
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-[#0088cc] text-white py-3 rounded-lg hover:bg-[#0077b3] transition font-semibold disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            {loading ? (
+              <>
+                <FaSpinner className="animate-spin" />
+                <span>Verifying...</span>
+              </>
+            ) : (
+              <>
+                <FaCheckCircle />
+                <span>Verify Code</span>
+              </>
+            )}
+          </button>
+        </form>
+
+        {/* Cancel Button */}
+        <button
+          onClick={handleCancel}
+          className="w-full flex items-center justify-center gap-2 text-gray-600 hover:text-gray-900 py-2 mt-4 transition"
+        >
+          <FaArrowLeft />
+          <span>Cancel and try different number</span>
+        </button>
+      </div>
+    );
+  }
+
+  // ============================================
+  // TWO-STEP VERIFICATION STATE
+  // ============================================
+  if (step === 'password') {
+    return (
+      <div className="bg-white border border-gray-200 rounded-xl p-8 shadow-sm">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <FaLock className="text-[#0088cc] text-5xl mx-auto mb-4" />
+          <h3 className="text-2xl font-bold text-gray-900 mb-2">
+            Two-Step Verification
+          </h3>
+          <p className="text-gray-600">
+            Your account is protected with an additional password
+          </p>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmitPassword} className="space-y-6">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Cloud Password
+            </label>
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-lg"
+              disabled={loading}
+              required
+              autoFocus
+            />
+            {passwordHint && (
+              <p className="text-xs text-gray-500 mt-2 flex items-center gap-1">
+                <span>💡</span>
+                <span>Hint: {passwordHint}</span>
+              </p>
+            )}
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-[#0088cc] text-white py-3 rounded-lg hover:bg-[#0077b3] transition font-semibold disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            {loading ? (
+              <>
+                <FaSpinner className="animate-spin" />
+                <span>Verifying...</span>
+              </>
+            ) : (
+              <>
+                <FaLock />
+                <span>Continue</span>
+              </>
+            )}
+          </button>
+        </form>
+
+        {/* Cancel Button */}
+        <button
+          onClick={handleCancel}
+          className="w-full flex items-center justify-center gap-2 text-gray-600 hover:text-gray-900 py-2 mt-4 transition"
+        >
+          <FaArrowLeft />
+          <span>Cancel login</span>
+        </button>
+      </div>
+    );
+  }
+
   // ============================================
   // WAITING FOR CONFIRMATION STATE
   // ============================================
@@ -307,6 +574,19 @@ export default function TelegramAuth({ onSuccess }) {
         </button>
       </form>
 
+      {/* QR Alternative */}
+      <div className="mt-4">
+        <button
+          type="button"
+          onClick={handleQrLogin}
+          disabled={loading}
+          className="w-full border border-[#0088cc] text-[#0088cc] py-3 rounded-lg hover:bg-blue-50 transition font-semibold disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+        >
+          <FaQrcode />
+          <span>Log in with QR code instead</span>
+        </button>
+      </div>
+
       {/* Footer */}
       <div className="mt-6 text-center">
         <p className="text-xs text-gray-500">
@@ -4,6 +4,33 @@ import { io } from 'socket.io-client';
 import { useAuth } from './useAuth';
 
 const SOCKET_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const LAST_EVENT_KEY = 'ws:lastEventId';
+// Refresh this long before the access token (15 min) expires
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+function tokenExpiresAt(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000;
+  } catch {
+    return 0;
+  }
+}
+
+// New access token from the HTTP-only refresh cookie
+async function refreshAccessToken() {
+  const response = await fetch(`${SOCKET_URL}/api/auth/refresh`, {
+    method: 'POST',
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    throw new Error('Session expired, please log in again');
+  }
+
+  const { token } = await response.json();
+  return token;
+}
 
 export function useWebSocket() {
   const { token } = useAuth();
@@ -11,13 +38,30 @@ export function useWebSocket() {
   const [error, setError] = useState(null);
   const socketRef = useRef(null);
   const listenersRef = useRef(new Map());
+  const tokenRef = useRef(token);
 
   // Initialize socket connection
   useEffect(() => {
     if (!token) return;
 
+    tokenRef.current = token;
+
+    // The token the socket was opened with expires after 15 minutes, so
+    // every reconnect gets a fresh one when it is close to expiry
+    const currentToken = async () => {
+      if (tokenExpiresAt(tokenRef.current) - Date.now() < TOKEN_REFRESH_MARGIN_MS) {
+        tokenRef.current = await refreshAccessToken();
+      }
+      return tokenRef.current;
+    };
+
     const socket = io(SOCKET_URL, {
-      auth: { token },
+      // Sent on every (re)connect so the server can replay missed events
+      auth: (cb) => {
+        currentToken()
+          .catch(() => tokenRef.current)
+          .then((fresh) => cb({ token: fresh, lastEventId: localStorage.getItem(LAST_EVENT_KEY) }));
+      },
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: 5,
@@ -37,10 +81,24 @@ export function useWebSocket() {
       setConnected(false);
     });
 
-    socket.on('connect_error', (err) => {
+    socket.on('connect_error', async (err) => {
       console.error('WebSocket connection error:', err);
-      setError(err.message);
       setConnected(false);
+
+      // Rejected by the server's auth check (expired or revoked token):
+      // socket.io won't retry on its own, so refresh and connect again
+      if (err.message === 'Authentication error') {
+        try {
+          tokenRef.current = await refreshAccessToken();
+          socket.connect();
+          return;
+        } catch (refreshError) {
+          setError(refreshError.message);
+          return;
+        }
+      }
+
+      setError(err.message);
     });
 
     socket.on('error', (err) => {
@@ -48,6 +106,13 @@ export function useWebSocket() {
       setError(err.message);
     });
 
+    // Remember the last buffered event we received
+    socket.onAny((event, data) => {
+      if (data?.eventId) {
+        localStorage.setItem(LAST_EVENT_KEY, data.eventId);
+      }
+    });
+
     // Re-attach event listeners after reconnection
     socket.on('connect', () => {
       listenersRef.current.forEach((callback, event) => {
@@ -0,0 +1,361 @@
+// server/api/admin.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import { User } from '../models/User.js';
+import { TelegramIdentity } from '../models/TelegramIdentity.js';
+import { Account } from '../models/Account.js';
+import { logger } from '../utils/logger.js';
+import { requireRole } from '../middleware/auth.js';
+import { revokeAllUserTokens } from '../services/token.service.js';
+import { getLeaseOwner } from '../services/lease.service.js';
+import { disconnectUser, isUserOnline } from '../websocket/connection.js';
+import { dispatchTelegramEvent } from '../websocket/router.js';
+import { recordAudit } from '../services/audit.service.js';
+
+// Mounted at /api/admin behind authMiddleware + requireRole('admin', 'support').
+// Support can look and sign users out; only admins can suspend or change roles.
+const router = express.Router();
+
+const ROLES = ['user', 'support', 'admin'];
+
+// Never send secrets to the console, even to admins
+const SAFE_FIELDS = '-password -telegramSession -twoFactorSecret -twoFactorPendingSecret -twoFactorRecoveryCodes';
+
+/* ====================================
+   HELPERS
+==================================== */
+
+async function getConnectionState(userId) {
+  const [telegramWorker, dashboardOnline] = await Promise.all([
+    getLeaseOwner(userId),
+    isUserOnline(userId),
+  ]);
+
+  return {
+    telegramClientActive: Boolean(telegramWorker),
+    telegramWorker,
+    dashboardOnline,
+  };
+}
+
+async function getTelegramAccounts(userIds) {
+  const identities = await TelegramIdentity.find({ userId: { $in: userIds } })
+    .select('userId phone username connected connectedAt');
+
+  const byUser = new Map();
+  identities.forEach((identity) => {
+    const key = identity.userId.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push({
+      id: identity._id,
+      phone: identity.phone,
+      username: identity.username,
+      connected: identity.connected,
+      connectedAt: identity.connectedAt,
+    });
+  });
+
+  return byUser;
+}
+
+// MetaApi deployment/connection state as last reported for each account
+async function getBrokerAccounts(userIds) {
+  const accounts = await Account.find({ userId: { $in: userIds } })
+    .select('userId name platform server login enabled state connectionStatus connectionCheckedAt');
+
+  const byUser = new Map();
+  accounts.forEach((account) => {
+    const key = account.userId.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push({
+      id: account._id,
+      name: account.name,
+      platform: account.platform,
+      server: account.server,
+      login: account.login,
+      enabled: account.enabled,
+      state: account.state,
+      connectionStatus: account.connectionStatus,
+      connected: account.connectionStatus === 'CONNECTED',
+      checkedAt: account.connectionCheckedAt,
+    });
+  });
+
+  return byUser;
+}
+
+function formatUser(user, connection, telegramAccounts = [], brokerAccounts = []) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role || 'user',
+    emailVerified: user.emailVerified !== false,
+    twoFactorEnabled: Boolean(user.twoFactorEnabled),
+    suspended: Boolean(user.suspended),
+    suspendedReason: user.suspendedReason || null,
+    telegramConnected: telegramAccounts.some((account) => account.connected),
+    telegramAccounts,
+    brokerConnected: brokerAccounts.some((account) => account.connected),
+    brokerAccounts,
+    lastLogin: user.lastLogin || null,
+    createdAt: user.createdAt,
+    connection,
+  };
+}
+
+function validObjectId(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  next();
+}
+
+/* ====================================
+   LIST USERS
+==================================== */
+router.get(
+  '/users',
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('search').optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 25;
+
+      const filter = {};
+      if (req.query.search) {
+        const pattern = new RegExp(req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        filter.$or = [{ email: pattern }, { name: pattern }];
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select(SAFE_FIELDS)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        User.countDocuments(filter),
+      ]);
+
+      const userIds = users.map((user) => user._id);
+      const [accounts, brokerAccounts] = await Promise.all([
+        getTelegramAccounts(userIds),
+        getBrokerAccounts(userIds),
+      ]);
+
+      const results = await Promise.all(
+        users.map(async (user) => {
+          const userId = user._id.toString();
+          return formatUser(user, await getConnectionState(userId), accounts.get(userId), brokerAccounts.get(userId));
+        })
+      );
+
+      res.json({ users: results, page, limit, total });
+    } catch (error) {
+      logger.error('Admin list users error', { adminId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to list users' });
+    }
+  }
+);
+
+/* ====================================
+   GET USER
+==================================== */
+router.get('/users/:id', validObjectId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(SAFE_FIELDS);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [accounts, brokerAccounts] = await Promise.all([
+      getTelegramAccounts([user._id]),
+      getBrokerAccounts([user._id]),
+    ]);
+
+    res.json({
+      user: formatUser(
+        user,
+        await getConnectionState(req.params.id),
+        accounts.get(req.params.id),
+        brokerAccounts.get(req.params.id)
+      ),
+    });
+  } catch (error) {
+    logger.error('Admin get user error', { adminId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to get user' });
+  }
+});
+
+/* ====================================
+   REVOKE SESSIONS
+==================================== */
+router.post('/users/:id/revoke-sessions', validObjectId, async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    await revokeAllUserTokens(userId);
+    disconnectUser(userId);
+
+    logger.warn('Admin revoked user sessions', { adminId: req.userId, userId });
+    await recordAudit('admin.sessions_revoked', req, { userId });
+    res.json({ message: 'Sessions revoked' });
+  } catch (error) {
+    logger.error('Admin revoke sessions error', { adminId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+/* ====================================
+   FORCE-DISCONNECT TELEGRAM
+==================================== */
+router.post('/users/:id/telegram/disconnect', validObjectId, async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    // Runs the normal telegram:disconnect handler on the owning worker,
+    // which audits it with the admin as actor
+    await dispatchTelegramEvent(userId, 'telegram:disconnect', { actorId: req.userId });
+
+    logger.warn('Admin disconnected Telegram', { adminId: req.userId, userId });
+    res.json({ message: 'Telegram disconnected' });
+  } catch (error) {
+    logger.error('Admin Telegram disconnect error', { adminId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to disconnect Telegram' });
+  }
+});
+
+/* ====================================
+   SUSPEND / UNSUSPEND
+==================================== */
+router.post(
+  '/users/:id/suspend',
+  requireRole('admin'),
+  validObjectId,
+  [body('reason').optional().isString().trim().isLength({ max: 500 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.params.id;
+
+      if (userId === String(req.userId)) {
+        return res.status(400).json({ error: 'You cannot suspend your own account' });
+      }
+
+      const user = await User.findByIdAndUpdate(userId, {
+        suspended: true,
+        suspendedAt: new Date(),
+        suspendedReason: req.body.reason || null,
+        suspendedBy: req.userId,
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // Sign out everywhere and stop copying signals
+      await revokeAllUserTokens(userId);
+      disconnectUser(userId);
+      if (await TelegramIdentity.exists({ userId, connected: true })) {
+        await dispatchTelegramEvent(userId, 'telegram:disconnect', { actorId: req.userId });
+      }
+
+      logger.warn('User suspended', { adminId: req.userId, userId, reason: req.body.reason });
+      await recordAudit('admin.suspended', req, {
+        userId,
+        before: { suspended: Boolean(user.suspended) },
+        after: { suspended: true },
+        metadata: { reason: req.body.reason || null },
+      });
+      res.json({ message: 'User suspended' });
+    } catch (error) {
+      logger.error('Admin suspend error', { adminId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to suspend user' });
+    }
+  }
+);
+
+router.post('/users/:id/unsuspend', requireRole('admin'), validObjectId, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, {
+      suspended: false,
+      suspendedAt: null,
+      suspendedReason: null,
+      suspendedBy: null,
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logger.warn('User unsuspended', { adminId: req.userId, userId: req.params.id });
+    await recordAudit('admin.unsuspended', req, {
+      userId: req.params.id,
+      before: { suspended: Boolean(user.suspended) },
+      after: { suspended: false },
+    });
+    res.json({ message: 'User unsuspended' });
+  } catch (error) {
+    logger.error('Admin unsuspend error', { adminId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to unsuspend user' });
+  }
+});
+
+/* ====================================
+   CHANGE ROLE
+==================================== */
+router.put(
+  '/users/:id/role',
+  requireRole('admin'),
+  validObjectId,
+  [body('role').isIn(ROLES)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.params.id === String(req.userId)) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+      }
+
+      const user = await User.findByIdAndUpdate(req.params.id, { role: req.body.role });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      logger.warn('User role changed', {
+        adminId: req.userId,
+        userId: req.params.id,
+        from: user.role || 'user',
+        to: req.body.role,
+      });
+      await recordAudit('admin.role_changed', req, {
+        userId: req.params.id,
+        before: { role: user.role || 'user' },
+        after: { role: req.body.role },
+      });
+      res.json({ message: 'Role updated', role: req.body.role });
+    } catch (error) {
+      logger.error('Admin change role error', { adminId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to change role' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,71 @@
+// server/api/audit.js
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { AuditLog } from '../models/AuditLog.js';
+import { logger } from '../utils/logger.js';
+
+// Mounted at /api/users/audit behind authMiddleware. Users only ever see
+// entries for their own account.
+const router = express.Router();
+
+/* ====================================
+   LIST OWN AUDIT LOG
+==================================== */
+router.get(
+  '/',
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('action').optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 50;
+
+      const filter = { userId: req.userId };
+      if (req.query.action) {
+        filter.action = req.query.action;
+      }
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      res.json({
+        entries: entries.map((entry) => ({
+          id: entry._id,
+          action: entry.action,
+          // Don't expose which admin acted, only that one did
+          actor: entry.actorType,
+          ip: entry.ip,
+          userAgent: entry.userAgent,
+          device: entry.device,
+          location: entry.location,
+          before: entry.before,
+          after: entry.after,
+          metadata: entry.metadata,
+          createdAt: entry.createdAt,
+        })),
+        page,
+        limit,
+        total,
+      });
+    } catch (error) {
+      logger.error('Audit log error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to get audit log' });
+    }
+  }
+);
+
+export default router;
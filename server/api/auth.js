@@ -1,13 +1,103 @@
 // server/api/auth.js
 import express from 'express';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import { User } from '../models/User.js';
 import { logger } from '../utils/logger.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { disconnectUser } from '../websocket/connection.js';
+import {
+  REFRESH_COOKIE,
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeAccessToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  setRefreshCookie,
+  clearRefreshCookie,
+} from '../services/token.service.js';
+import { issueAuthToken, consumeAuthToken } from '../services/authToken.service.js';
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+} from '../services/mail.service.js';
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+} from '../services/loginGuard.service.js';
+import {
+  verifyTotp,
+  consumeRecoveryCode,
+  signLoginChallenge,
+  verifyLoginChallenge,
+  markChallengeUsed,
+} from '../services/twoFactor.service.js';
+import { recordAudit } from '../services/audit.service.js';
 
 const router = express.Router();
 
+// Final step of every login: record it and issue tokens
+async function completeLogin(user, req, res, method = 'password') {
+  await clearFailedLogins(user.email);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  logger.info('User logged in', { userId: user._id, email: user.email });
+  await recordAudit('auth.login', req, { userId: user._id, actorId: user._id, metadata: { method } });
+
+  // Short-lived access token + refresh token cookie
+  const { accessToken: token, refreshToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      emailVerified: user.emailVerified !== false,
+      twoFactorEnabled: Boolean(user.twoFactorEnabled),
+    },
+  });
+}
+
+// Count a failed password/code attempt; tell the owner if it locked the account
+async function handleFailedLogin(email, user, req) {
+  const { locked, lockedUntil } = await recordFailedLogin(email, req);
+
+  if (user) {
+    await recordAudit(locked ? 'auth.locked' : 'auth.login_failed', req, {
+      userId: user._id,
+      actorId: null,
+      actorType: 'anonymous',
+      metadata: locked ? { lockedUntil } : null,
+    });
+  }
+
+  if (locked && user) {
+    sendAccountLockedEmail(user, { ip: req.ip, lockedUntil }).catch((error) => {
+      logger.error('Account locked email error', { userId: user._id, error: error.message });
+    });
+  }
+}
+
+function rejectThrottled(res, { locked, retryAfter }) {
+  res.set('Retry-After', String(retryAfter));
+
+  return res.status(429).json({
+    error: locked
+      ? 'Account temporarily locked after too many failed attempts. Check your email.'
+      : `Too many failed attempts. Try again in ${retryAfter} seconds.`,
+    retryAfter,
+  });
+}
+
 /* ====================================
    REGISTER
 ==================================== */
@@ -42,17 +132,24 @@ router.post(
         email,
         password: hashedPassword,
         name,
+        emailVerified: false,
         createdAt: new Date(),
       });
 
       logger.info('User registered', { userId: user._id, email });
+      await recordAudit('auth.registered', req, { userId: user._id, actorId: user._id });
 
-      // Generate JWT
-      const token = jwt.sign(
-        { userId: user._id, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      // Don't fail registration if mail delivery is down; they can resend
+      try {
+        const verifyToken = await issueAuthToken(user._id, 'verifyEmail');
+        await sendVerificationEmail(user, verifyToken);
+      } catch (mailError) {
+        logger.error('Verification email error', { userId: user._id, error: mailError.message });
+      }
+
+      // Short-lived access token + refresh token cookie
+      const { accessToken: token, refreshToken } = await createSession(user, req);
+      setRefreshCookie(res, refreshToken);
 
       res.status(201).json({
         message: 'Registration successful',
@@ -61,6 +158,7 @@ router.post(
           id: user._id,
           email: user.email,
           name: user.name,
+          emailVerified: false,
         },
       });
     } catch (error) {
@@ -88,40 +186,40 @@ router.post(
 
       const { email, password } = req.body;
 
+      // Per-email backoff / lockout
+      const guard = await checkLoginAllowed(email);
+      if (!guard.allowed) {
+        return rejectThrottled(res, guard);
+      }
+
       // Find user
       const user = await User.findOne({ email });
       if (!user) {
+        await handleFailedLogin(email, null, req);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
       // Verify password
       const isValid = await bcrypt.compare(password, user.password);
       if (!isValid) {
+        await handleFailedLogin(email, user, req);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
-
-      logger.info('User logged in', { userId: user._id, email });
+      if (user.suspended) {
+        return res.status(403).json({ error: 'Account suspended. Please contact support.' });
+      }
 
-      // Generate JWT
-      const token = jwt.sign(
-        { userId: user._id, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      // Second step required - no tokens until the code is checked
+      if (user.twoFactorEnabled) {
+        logger.info('Login awaiting 2FA', { userId: user._id, email });
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: signLoginChallenge(user),
+        });
+      }
 
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user._id,
-          email: user.email,
-          name: user.name,
-        },
-      });
+      await completeLogin(user, req, res);
     } catch (error) {
       logger.error('Login error', { error: error.message });
       res.status(500).json({ error: 'Login failed' });
@@ -129,6 +227,72 @@ router.post(
   }
 );
 
+/* ====================================
+   LOGIN - 2FA STEP
+==================================== */
+router.post(
+  '/login/2fa',
+  [
+    body('challengeToken').isString().notEmpty(),
+    body('code').isString().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let challenge;
+      try {
+        challenge = verifyLoginChallenge(req.body.challengeToken);
+      } catch (error) {
+        return res.status(401).json({ error: 'Login challenge expired. Please log in again.' });
+      }
+
+      const user = await User.findById(challenge.userId);
+      if (!user?.twoFactorEnabled) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      // Code guessing counts against the same per-email limit
+      const guard = await checkLoginAllowed(user.email);
+      if (!guard.allowed) {
+        return rejectThrottled(res, guard);
+      }
+
+      const { code } = req.body;
+      let valid = await verifyTotp(user._id, user.twoFactorSecret, code);
+      let method = 'totp';
+
+      // Fall back to a one-time recovery code
+      if (!valid) {
+        const remaining = await consumeRecoveryCode(user.twoFactorRecoveryCodes, code);
+        if (remaining) {
+          user.twoFactorRecoveryCodes = remaining;
+          valid = true;
+          method = 'recovery_code';
+          logger.warn('Recovery code used', { userId: user._id, remaining: remaining.length });
+        }
+      }
+
+      if (!valid) {
+        await handleFailedLogin(user.email, user, req);
+        return res.status(401).json({ error: 'Invalid verification code' });
+      }
+
+      if (!(await markChallengeUsed(challenge))) {
+        return res.status(401).json({ error: 'Login challenge already used' });
+      }
+
+      await completeLogin(user, req, res, method);
+    } catch (error) {
+      logger.error('2FA login error', { error: error.message });
+      res.status(500).json({ error: 'Login failed' });
+    }
+  }
+);
+
 /* ====================================
    VERIFY TOKEN
 ==================================== */
@@ -140,7 +304,7 @@ router.get('/verify', async (req, res) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     
     const user = await User.findById(decoded.userId).select('-password');
     if (!user) {
@@ -153,6 +317,7 @@ router.get('/verify', async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
+        emailVerified: user.emailVerified !== false,
       },
     });
   } catch (error) {
@@ -161,12 +326,228 @@ router.get('/verify', async (req, res) => {
   }
 });
 
+/* ====================================
+   VERIFY EMAIL
+==================================== */
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = await consumeAuthToken(req.body.token, 'verifyEmail');
+      if (!userId) {
+        return res.status(400).json({ error: 'Invalid or expired verification link' });
+      }
+
+      await User.findByIdAndUpdate(userId, {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      });
+
+      logger.info('Email verified', { userId });
+      await recordAudit('auth.email_verified', req, {
+        userId,
+        actorId: userId,
+        before: { emailVerified: false },
+        after: { emailVerified: true },
+      });
+      res.json({ message: 'Email verified' });
+    } catch (error) {
+      logger.error('Email verification error', { error: error.message });
+      res.status(500).json({ error: 'Email verification failed' });
+    }
+  }
+);
+
+/* ====================================
+   RESEND VERIFICATION
+==================================== */
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerified !== false) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    const verifyToken = await issueAuthToken(user._id, 'verifyEmail');
+    await sendVerificationEmail(user, verifyToken);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    logger.error('Resend verification error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+/* ====================================
+   FORGOT PASSWORD
+==================================== */
+router.post(
+  '/forgot-password',
+  [body('email').isEmail().normalizeEmail()],
+  async (req, res) => {
+    // Same response whether or not the account exists
+    const response = { message: 'If that email is registered, a reset link has been sent' };
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+
+      if (user) {
+        const resetToken = await issueAuthToken(user._id, 'resetPassword');
+        await sendPasswordResetEmail(user, resetToken);
+        logger.info('Password reset requested', { userId: user._id, ip: req.ip });
+        await recordAudit('auth.password_reset_requested', req, {
+          userId: user._id,
+          actorId: null,
+          actorType: 'anonymous',
+        });
+      }
+
+      res.json(response);
+    } catch (error) {
+      logger.error('Forgot password error', { error: error.message });
+      res.json(response);
+    }
+  }
+);
+
+/* ====================================
+   RESET PASSWORD
+==================================== */
+router.post(
+  '/reset-password',
+  [
+    body('token').isString().notEmpty(),
+    body('password').isLength({ min: 8 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = await consumeAuthToken(req.body.token, 'resetPassword');
+      if (!userId) {
+        return res.status(400).json({ error: 'Invalid or expired reset link' });
+      }
+
+      const hashedPassword = await bcrypt.hash(req.body.password, 10);
+
+      // Receiving the link proves control of the inbox
+      await User.findByIdAndUpdate(userId, {
+        password: hashedPassword,
+        emailVerified: true,
+        passwordChangedAt: new Date(),
+      });
+
+      // Sign out every existing session
+      await revokeAllUserTokens(userId);
+      disconnectUser(userId);
+      clearRefreshCookie(res);
+
+      logger.info('Password reset', { userId, ip: req.ip });
+      await recordAudit('auth.password_reset', req, { userId, actorId: userId });
+      res.json({ message: 'Password has been reset. Please log in.' });
+    } catch (error) {
+      logger.error('Reset password error', { error: error.message });
+      res.status(500).json({ error: 'Password reset failed' });
+    }
+  }
+);
+
+/* ====================================
+   REFRESH TOKEN
+==================================== */
+router.post('/refresh', async (req, res) => {
+  try {
+    const rawToken = req.cookies[REFRESH_COOKIE];
+
+    if (!rawToken) {
+      return res.status(401).json({ error: 'No refresh token' });
+    }
+
+    const { user, accessToken, refreshToken } = await rotateRefreshToken(rawToken, req);
+    setRefreshCookie(res, refreshToken);
+
+    res.json({
+      token: accessToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+      },
+    });
+  } catch (error) {
+    logger.warn('Token refresh rejected', { error: error.message, ip: req.ip });
+    clearRefreshCookie(res);
+    res.status(401).json({ error: 'Invalid refresh token' });
+  }
+});
+
 /* ====================================
    LOGOUT
 ==================================== */
-router.post('/logout', (req, res) => {
-  // Client should remove token
-  res.json({ message: 'Logout successful' });
+router.post('/logout', async (req, res) => {
+  try {
+    // Revoke the access token if one was sent
+    const token = req.headers.authorization?.split(' ')[1];
+    if (token) {
+      const decoded = await verifyAccessToken(token).catch(() => null);
+      if (decoded) {
+        await revokeAccessToken(decoded);
+        await recordAudit('auth.logout', req, { userId: decoded.userId, actorId: decoded.userId });
+      }
+    }
+
+    // End the session behind the refresh cookie
+    const rawToken = req.cookies[REFRESH_COOKIE];
+    if (rawToken) {
+      await revokeRefreshToken(rawToken);
+    }
+
+    clearRefreshCookie(res);
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    logger.error('Logout error', { error: error.message });
+    clearRefreshCookie(res);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+/* ====================================
+   LOGOUT ALL DEVICES
+==================================== */
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.userId);
+
+    // Close every open dashboard socket for this user
+    disconnectUser(req.userId);
+
+    clearRefreshCookie(res);
+    logger.info('User logged out of all devices', { userId: req.userId });
+    await recordAudit('auth.logout_all', req);
+
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    logger.error('Logout all error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Logout failed' });
+  }
 });
 
 export default router;
@@ -0,0 +1,150 @@
+// server/api/channelBacktests.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, param, validationResult } from 'express-validator';
+import { Channel } from '../models/Channel.js';
+import { Backtest } from '../models/Backtest.js';
+import { logger } from '../utils/logger.js';
+import { BACKTEST_MAX_MESSAGES } from '../services/backtest.service.js';
+import { dispatchTelegramEvent } from '../websocket/router.js';
+
+// Mounted at /api/channels (ahead of the channel CRUD routes) behind authMiddleware
+const router = express.Router();
+
+// A job whose worker died stops blocking new ones after this long
+const STALE_AFTER_MS = 30 * 60 * 1000;
+
+function validObjectId(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+  next();
+}
+
+function formatBacktest(backtest, { includeTrades = true } = {}) {
+  return {
+    id: backtest._id,
+    channelId: backtest.channelId,
+    status: backtest.status,
+    params: backtest.params,
+    progress: backtest.progress,
+    stats: backtest.stats,
+    trades: includeTrades ? backtest.trades : undefined,
+    error: backtest.error,
+    createdAt: backtest.createdAt,
+    completedAt: backtest.completedAt,
+  };
+}
+
+/* ====================================
+   START BACKTEST
+==================================== */
+router.post(
+  '/:id/backtest',
+  validObjectId,
+  [
+    body('limit').optional().isInt({ min: 1, max: BACKTEST_MAX_MESSAGES }).toInt(),
+    body('expiryHours').optional().isFloat({ gt: 0, max: 168 }).toFloat(),
+    body('maxHoldHours').optional().isFloat({ gt: 0, max: 720 }).toFloat(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const channel = await Channel.findOne({ _id: req.params.id, userId: req.userId });
+      if (!channel) {
+        return res.status(404).json({ error: 'Channel not found' });
+      }
+      if (!channel.telegramIdentityId) {
+        return res.status(400).json({ error: 'Channel is not linked to a Telegram account' });
+      }
+
+      const running = await Backtest.exists({
+        userId: req.userId,
+        status: { $in: ['queued', 'running'] },
+        updatedAt: { $gt: new Date(Date.now() - STALE_AFTER_MS) },
+      });
+      if (running) {
+        return res.status(409).json({ error: 'A backtest is already running' });
+      }
+
+      const backtest = await Backtest.create({
+        userId: req.userId,
+        channel: channel._id,
+        channelId: channel.channelId,
+        params: {
+          limit: req.body.limit || 200,
+          expiryHours: req.body.expiryHours || 24,
+          maxHoldHours: req.body.maxHoldHours || 168,
+        },
+      });
+
+      // Runs on the worker holding the user's Telegram clients; progress and
+      // the result arrive as backtest:* socket events
+      await dispatchTelegramEvent(req.userId, 'telegram:backtest', {
+        args: [{ backtestId: backtest._id.toString() }],
+      });
+
+      logger.info('Backtest queued', { userId: req.userId, channelId: channel.channelId, backtestId: backtest._id });
+      res.status(202).json({ backtest: formatBacktest(backtest) });
+    } catch (error) {
+      logger.error('Start backtest error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to start backtest' });
+    }
+  }
+);
+
+/* ====================================
+   GET BACKTESTS
+==================================== */
+// Latest run in full plus a summary of earlier runs
+router.get('/:id/backtest', validObjectId, async (req, res) => {
+  try {
+    const backtests = await Backtest.find({ userId: req.userId, channel: req.params.id })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    const [latest, ...history] = backtests;
+
+    res.json({
+      backtest: latest ? formatBacktest(latest) : null,
+      history: history.map((backtest) => formatBacktest(backtest, { includeTrades: false })),
+    });
+  } catch (error) {
+    logger.error('Get backtests error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to get backtests' });
+  }
+});
+
+router.get(
+  '/:id/backtest/:backtestId',
+  validObjectId,
+  [param('backtestId').isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const backtest = await Backtest.findOne({
+        _id: req.params.backtestId,
+        userId: req.userId,
+        channel: req.params.id,
+      });
+      if (!backtest) {
+        return res.status(404).json({ error: 'Backtest not found' });
+      }
+
+      res.json({ backtest: formatBacktest(backtest) });
+    } catch (error) {
+      logger.error('Get backtest error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to get backtest' });
+    }
+  }
+);
+
+export default router;
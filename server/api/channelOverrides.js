@@ -0,0 +1,132 @@
+// server/api/channelOverrides.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { Channel } from '../models/Channel.js';
+import { Account } from '../models/Account.js';
+import { PaperAccount } from '../models/PaperAccount.js';
+import { logger } from '../utils/logger.js';
+import { recordAudit } from '../services/audit.service.js';
+import {
+  RISK_MODES,
+  normalizeOverrides,
+  resolveChannelSettings,
+  assertValidActiveHours,
+} from '../services/channelConfig.service.js';
+
+// Mounted at /api/channels behind authMiddleware; only /:id/overrides paths, so
+// the channel CRUD routes mounted after it stay reachable.
+// Every field is optional; null clears an override back to the global default.
+const router = express.Router();
+
+const nullable = (field) => body(field).optional({ nullable: true });
+
+const overrideValidators = [
+  nullable('riskMode').isIn(RISK_MODES),
+  nullable('riskPercent').isFloat({ gt: 0, max: 100 }).toFloat(),
+  nullable('fixedLotSize').isFloat({ gt: 0, max: 100 }).toFloat(),
+  nullable('allowedSymbols').isArray({ max: 200 }),
+  nullable('allowedSymbols.*').isString().trim().isLength({ min: 1, max: 20 }),
+  nullable('maxOpenTrades').isInt({ min: 1, max: 100 }).toInt(),
+  nullable('accountIds').isArray({ max: 50 }),
+  nullable('accountIds.*').isMongoId(),
+  nullable('activeHours').isObject().custom(assertValidActiveHours),
+  nullable('paperOnly').isBoolean().toBoolean(),
+];
+
+function validObjectId(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+  next();
+}
+
+function formatOverrides(channel) {
+  return {
+    id: channel._id,
+    channelId: channel.channelId,
+    title: channel.title,
+    overrides: channel.overrides || {},
+    effective: resolveChannelSettings(channel),
+  };
+}
+
+/* ====================================
+   GET OVERRIDES
+==================================== */
+router.get('/:id/overrides', validObjectId, async (req, res) => {
+  try {
+    const channel = await Channel.findOne({ _id: req.params.id, userId: req.userId });
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+
+    res.json(formatOverrides(channel));
+  } catch (error) {
+    logger.error('Get channel overrides error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to get channel settings' });
+  }
+});
+
+/* ====================================
+   UPDATE OVERRIDES
+==================================== */
+router.patch('/:id/overrides', validObjectId, overrideValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const channel = await Channel.findOne({ _id: req.params.id, userId: req.userId });
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+
+    const changes = normalizeOverrides(req.body);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No overrides provided' });
+    }
+
+    // Only the user's own trading accounts (live or paper) can be targeted
+    if (changes.accountIds?.length) {
+      const query = { _id: { $in: changes.accountIds }, userId: req.userId };
+      const [live, paper] = await Promise.all([Account.countDocuments(query), PaperAccount.countDocuments(query)]);
+      if (live + paper !== changes.accountIds.length) {
+        return res.status(400).json({ error: 'Unknown trading account' });
+      }
+    }
+
+    const before = { ...(channel.overrides?.toObject?.() || channel.overrides || {}) };
+    const after = { ...before };
+    Object.entries(changes).forEach(([field, value]) => {
+      if (value === null) {
+        delete after[field];
+      } else {
+        after[field] = value;
+      }
+    });
+
+    channel.overrides = after;
+    channel.markModified('overrides');
+    await channel.save();
+
+    logger.info('Channel overrides updated', {
+      userId: req.userId,
+      channelId: channel.channelId,
+      fields: Object.keys(changes),
+    });
+    await recordAudit('channel.overrides_updated', req, {
+      before,
+      after,
+      metadata: { channelId: channel.channelId, title: channel.title },
+    });
+
+    res.json(formatOverrides(channel));
+  } catch (error) {
+    logger.error('Update channel overrides error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to update channel settings' });
+  }
+});
+
+export default router;
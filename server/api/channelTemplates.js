@@ -0,0 +1,168 @@
+// server/api/channelTemplates.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { Channel } from '../models/Channel.js';
+import { logger } from '../utils/logger.js';
+import { recordAudit } from '../services/audit.service.js';
+import {
+  TEMPLATE_TYPES,
+  MAX_TEMPLATES_PER_CHANNEL,
+  MAX_PATTERN_LENGTH,
+  compileTemplate,
+  applyTemplate,
+} from '../services/template.service.js';
+
+// Mounted at /api/channels (ahead of the channel CRUD routes) behind authMiddleware
+const router = express.Router();
+
+const MAX_SAMPLES = 20;
+const MAX_SAMPLE_LENGTH = 4000;
+
+function templateValidators(prefix) {
+  return [
+    body(`${prefix}.name`).optional().isString().trim().isLength({ max: 50 }),
+    body(`${prefix}.type`).isIn(TEMPLATE_TYPES),
+    body(`${prefix}.pattern`).isString().isLength({ min: 1, max: MAX_PATTERN_LENGTH }),
+    body(`${prefix}.flags`).optional().matches(/^[imsu]*$/),
+    body(`${prefix}.symbolAliases`).optional().isObject(),
+    body(`${prefix}.enabled`).optional().isBoolean().toBoolean(),
+  ];
+}
+
+function formatTemplate({ name, type, pattern, flags, symbolAliases, enabled }) {
+  return {
+    name: name || null,
+    type,
+    pattern,
+    flags: type === 'regex' ? flags || '' : undefined,
+    symbolAliases: symbolAliases || {},
+    enabled: enabled !== false,
+  };
+}
+
+function validObjectId(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+  next();
+}
+
+/* ====================================
+   TEST TEMPLATE
+==================================== */
+// Dry run against pasted messages; nothing is saved
+router.post(
+  '/templates/test',
+  [
+    ...templateValidators('template'),
+    body('samples').isArray({ min: 1, max: MAX_SAMPLES }),
+    body('samples.*').isString().isLength({ min: 1, max: MAX_SAMPLE_LENGTH }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const template = formatTemplate(req.body.template);
+
+      let regex;
+      try {
+        regex = compileTemplate(template);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const results = req.body.samples.map((sample) => {
+        try {
+          const signal = applyTemplate(template, sample, regex);
+          return { sample, matched: Boolean(signal), signal };
+        } catch (error) {
+          return { sample, matched: false, signal: null, error: error.message };
+        }
+      });
+
+      res.json({ regex: regex.source, results });
+    } catch (error) {
+      logger.error('Test template error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to test template' });
+    }
+  }
+);
+
+/* ====================================
+   GET TEMPLATES
+==================================== */
+router.get('/:id/templates', validObjectId, async (req, res) => {
+  try {
+    const channel = await Channel.findOne({ _id: req.params.id, userId: req.userId });
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+
+    res.json({ templates: (channel.parsingTemplates || []).map(formatTemplate) });
+  } catch (error) {
+    logger.error('Get templates error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to get templates' });
+  }
+});
+
+/* ====================================
+   REPLACE TEMPLATES
+==================================== */
+// Templates are tried in the order given; an empty list uses the generic parser only
+router.put(
+  '/:id/templates',
+  validObjectId,
+  [
+    body('templates').isArray({ max: MAX_TEMPLATES_PER_CHANNEL }),
+    ...templateValidators('templates.*'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const templates = req.body.templates.map(formatTemplate);
+      for (const [index, template] of templates.entries()) {
+        try {
+          compileTemplate(template);
+        } catch (error) {
+          return res.status(400).json({ error: `Template ${index + 1}: ${error.message}` });
+        }
+      }
+
+      const channel = await Channel.findOne({ _id: req.params.id, userId: req.userId });
+      if (!channel) {
+        return res.status(404).json({ error: 'Channel not found' });
+      }
+
+      const before = (channel.parsingTemplates || []).map(formatTemplate);
+      channel.parsingTemplates = templates;
+      channel.markModified('parsingTemplates');
+      await channel.save();
+
+      logger.info('Parsing templates updated', {
+        userId: req.userId,
+        channelId: channel.channelId,
+        count: templates.length,
+      });
+      await recordAudit('channel.templates_updated', req, {
+        before: { templates: before },
+        after: { templates },
+        metadata: { channelId: channel.channelId, title: channel.title },
+      });
+
+      res.json({ templates });
+    } catch (error) {
+      logger.error('Update templates error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to update templates' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,276 @@
+// server/api/paperAccounts.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { PaperAccount } from '../models/PaperAccount.js';
+import { Trade } from '../models/Trade.js';
+import { logger } from '../utils/logger.js';
+import { recordAudit } from '../services/audit.service.js';
+import { getQuote } from '../services/priceFeed.service.js';
+import { closePosition } from '../services/paperBroker.service.js';
+import { contractSize } from '../services/channelConfig.service.js';
+
+// Mounted at /api/accounts/paper (ahead of the live account routes) behind authMiddleware
+const router = express.Router();
+
+const DEFAULT_BALANCE = parseFloat(process.env.PAPER_DEFAULT_BALANCE) || 10000;
+const MAX_ACCOUNTS = 5;
+
+function validObjectId(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid account ID' });
+  }
+  next();
+}
+
+// Balance plus floating P/L of open positions at current feed prices
+async function getEquity(account, positions) {
+  let floating = 0;
+
+  for (const position of positions.filter((trade) => trade.status === 'open')) {
+    const quote = await getQuote(position.symbol);
+    if (!quote) continue;
+
+    const direction = position.direction === 'buy' ? 1 : -1;
+    const price = direction === 1 ? quote.bid : quote.ask;
+    floating += (price - position.openPrice) * direction * position.volume * contractSize(position.symbol);
+  }
+
+  return Math.round((account.balance + floating) * 100) / 100;
+}
+
+async function formatAccount(account, { includePositions = false } = {}) {
+  const positions = await Trade.find({
+    accountId: account._id,
+    paper: true,
+    status: { $in: ['open', 'pending'] },
+  });
+
+  return {
+    id: account._id,
+    type: 'paper',
+    name: account.name,
+    currency: account.currency,
+    initialBalance: account.initialBalance,
+    balance: account.balance,
+    equity: await getEquity(account, positions),
+    realizedProfit: account.realizedProfit,
+    openPositions: positions.filter((trade) => trade.status === 'open').length,
+    pendingOrders: positions.filter((trade) => trade.status === 'pending').length,
+    positions: includePositions ? positions : undefined,
+    enabled: account.enabled,
+    createdAt: account.createdAt,
+    resetAt: account.resetAt,
+  };
+}
+
+async function closeAllPositions(userId, accountId, reason) {
+  const positions = await Trade.find({ userId, accountId, paper: true, status: { $in: ['open', 'pending'] } });
+  for (const position of positions) {
+    await closePosition(userId, position.positionId, { reason }).catch((error) => {
+      logger.error('Paper close position error', { userId, positionId: position.positionId, error: error.message });
+    });
+  }
+  return positions.length;
+}
+
+/* ====================================
+   LIST / GET
+==================================== */
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await PaperAccount.find({ userId: req.userId }).sort({ createdAt: 1 });
+    res.json({ accounts: await Promise.all(accounts.map((account) => formatAccount(account))) });
+  } catch (error) {
+    logger.error('List paper accounts error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to list paper accounts' });
+  }
+});
+
+router.get('/:id', validObjectId, async (req, res) => {
+  try {
+    const account = await PaperAccount.findOne({ _id: req.params.id, userId: req.userId });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json({ account: await formatAccount(account, { includePositions: true }) });
+  } catch (error) {
+    logger.error('Get paper account error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to get paper account' });
+  }
+});
+
+/* ====================================
+   CREATE
+==================================== */
+router.post(
+  '/',
+  [
+    body('name').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    body('initialBalance').optional().isFloat({ min: 100, max: 10000000 }).toFloat(),
+    body('currency').optional().isString().trim().isLength({ min: 3, max: 3 }).toUpperCase(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (await PaperAccount.countDocuments({ userId: req.userId }) >= MAX_ACCOUNTS) {
+        return res.status(400).json({ error: `At most ${MAX_ACCOUNTS} paper accounts` });
+      }
+
+      const balance = req.body.initialBalance || DEFAULT_BALANCE;
+      const account = await PaperAccount.create({
+        userId: req.userId,
+        name: req.body.name || 'Paper account',
+        currency: req.body.currency || 'USD',
+        initialBalance: balance,
+        balance,
+      });
+
+      logger.info('Paper account created', { userId: req.userId, accountId: account._id });
+      await recordAudit('paper.account_created', req, {
+        after: { name: account.name, initialBalance: balance },
+        metadata: { accountId: account._id },
+      });
+
+      res.status(201).json({ account: await formatAccount(account) });
+    } catch (error) {
+      logger.error('Create paper account error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to create paper account' });
+    }
+  }
+);
+
+/* ====================================
+   UPDATE / RESET / DELETE
+==================================== */
+router.put(
+  '/:id',
+  validObjectId,
+  [
+    body('name').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    body('enabled').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const update = {};
+      if (req.body.name !== undefined) update.name = req.body.name;
+      if (req.body.enabled !== undefined) update.enabled = req.body.enabled;
+
+      const account = await PaperAccount.findOneAndUpdate(
+        { _id: req.params.id, userId: req.userId },
+        update,
+        { new: true }
+      );
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      res.json({ account: await formatAccount(account) });
+    } catch (error) {
+      logger.error('Update paper account error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to update paper account' });
+    }
+  }
+);
+
+// Close everything at market and start again from the initial balance
+router.post('/:id/reset', validObjectId, async (req, res) => {
+  try {
+    const account = await PaperAccount.findOne({ _id: req.params.id, userId: req.userId });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const closed = await closeAllPositions(req.userId, account._id, 'reset');
+    const before = { balance: (await PaperAccount.findById(account._id)).balance };
+
+    account.balance = account.initialBalance;
+    account.realizedProfit = 0;
+    account.resetAt = new Date();
+    await account.save();
+
+    logger.info('Paper account reset', { userId: req.userId, accountId: account._id, closed });
+    await recordAudit('paper.account_reset', req, {
+      before,
+      after: { balance: account.balance },
+      metadata: { accountId: account._id, closedPositions: closed },
+    });
+
+    res.json({ account: await formatAccount(account) });
+  } catch (error) {
+    logger.error('Reset paper account error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to reset paper account' });
+  }
+});
+
+router.delete('/:id', validObjectId, async (req, res) => {
+  try {
+    const account = await PaperAccount.findOne({ _id: req.params.id, userId: req.userId });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    await closeAllPositions(req.userId, account._id, 'accountDeleted');
+    await account.deleteOne();
+
+    logger.info('Paper account deleted', { userId: req.userId, accountId: account._id });
+    await recordAudit('paper.account_deleted', req, {
+      before: { name: account.name, balance: account.balance },
+      metadata: { accountId: account._id },
+    });
+
+    res.json({ message: 'Paper account deleted' });
+  } catch (error) {
+    logger.error('Delete paper account error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to delete paper account' });
+  }
+});
+
+/* ====================================
+   CLOSE POSITION
+==================================== */
+router.post(
+  '/:id/positions/:positionId/close',
+  validObjectId,
+  [body('volume').optional().isFloat({ gt: 0 }).toFloat()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const position = await Trade.findOne({
+        userId: req.userId,
+        accountId: req.params.id,
+        positionId: req.params.positionId,
+        paper: true,
+      });
+      if (!position) {
+        return res.status(404).json({ error: 'Position not found' });
+      }
+
+      const trade = await closePosition(req.userId, position.positionId, { volume: req.body.volume });
+      if (!trade) {
+        return res.status(400).json({ error: 'Position is already closed' });
+      }
+
+      res.json({ position: trade });
+    } catch (error) {
+      logger.error('Close paper position error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to close position' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,89 @@
+// server/api/sessions.js
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import { logger } from '../utils/logger.js';
+import { listUserSessions, revokeUserSession } from '../services/session.service.js';
+import { clearRefreshCookie } from '../services/token.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { dispatchTelegramEvent } from '../websocket/router.js';
+
+// Mounted at /api/users/sessions behind authMiddleware
+const router = express.Router();
+
+/* ====================================
+   LIST SESSIONS
+==================================== */
+router.get('/', async (req, res) => {
+  try {
+    const { sessions, telegram } = await listUserSessions(req.userId, req.sessionId);
+    res.json({ sessions, telegram });
+  } catch (error) {
+    logger.error('List sessions error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+/* ====================================
+   DISCONNECT TELEGRAM SESSIONS
+==================================== */
+// Without an ID, disconnects every linked Telegram account
+router.delete(
+  '/telegram/:identityId?',
+  [param('identityId').optional().isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Runs telegram:disconnect on the owning worker (audited there)
+      await dispatchTelegramEvent(req.userId, 'telegram:disconnect', {
+        args: [{ identityId: req.params.identityId }],
+      });
+      res.json({ message: 'Telegram session disconnected' });
+    } catch (error) {
+      logger.error('Revoke Telegram session error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to disconnect Telegram' });
+    }
+  }
+);
+
+/* ====================================
+   REVOKE SESSION
+==================================== */
+router.delete(
+  '/:sessionId',
+  [param('sessionId').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { sessionId } = req.params;
+
+      if (!(await revokeUserSession(req.userId, sessionId))) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      // Signing out this browser: drop its cookie too
+      if (sessionId === req.sessionId) {
+        clearRefreshCookie(res);
+      }
+
+      logger.info('Session revoked', { userId: req.userId, sessionId });
+      await recordAudit('auth.session_revoked', req, {
+        metadata: { sessionId, current: sessionId === req.sessionId },
+      });
+
+      res.json({ message: 'Session revoked' });
+    } catch (error) {
+      logger.error('Revoke session error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to revoke session' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,37 @@
+// server/api/signalImages.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { SignalImage } from '../models/SignalImage.js';
+import { logger } from '../utils/logger.js';
+
+// Mounted at /api/signals (ahead of the signal routes) behind authMiddleware
+const router = express.Router();
+
+/* ====================================
+   GET SIGNAL IMAGE
+==================================== */
+// Original image of a photo signal (SignalMessage.imageId)
+router.get('/images/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid image ID' });
+    }
+
+    const image = await SignalImage.findOne({ _id: req.params.id, userId: req.userId });
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.set({
+      'Content-Type': image.mimeType,
+      'Content-Length': image.data.length,
+      'Cache-Control': 'private, max-age=86400',
+    });
+    res.send(image.data);
+  } catch (error) {
+    logger.error('Get signal image error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to get image' });
+  }
+});
+
+export default router;
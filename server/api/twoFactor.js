@@ -0,0 +1,203 @@
+// server/api/twoFactor.js
+import express from 'express';
+import bcrypt from 'bcrypt';
+import { body, validationResult } from 'express-validator';
+import { User } from '../models/User.js';
+import { logger } from '../utils/logger.js';
+import {
+  createTotpSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+} from '../services/twoFactor.service.js';
+import { recordAudit } from '../services/audit.service.js';
+
+// Mounted at /api/users/2fa behind authMiddleware
+const router = express.Router();
+
+/* ====================================
+   STATUS
+==================================== */
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      enabled: Boolean(user.twoFactorEnabled),
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes?.length || 0,
+    });
+  } catch (error) {
+    logger.error('2FA status error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to get 2FA status' });
+  }
+});
+
+/* ====================================
+   ENROLL
+==================================== */
+router.post('/enroll', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const { encryptedSecret, secret, otpauthUrl } = await createTotpSecret(user);
+
+    // Not active until confirmed with a code from the app
+    user.twoFactorPendingSecret = encryptedSecret;
+    await user.save();
+
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    logger.error('2FA enroll error', { userId: req.userId, error: error.message });
+    res.status(500).json({ error: 'Failed to start 2FA enrollment' });
+  }
+});
+
+/* ====================================
+   CONFIRM
+==================================== */
+router.post(
+  '/confirm',
+  [body('code').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.userId);
+      if (!user?.twoFactorPendingSecret) {
+        return res.status(400).json({ error: 'No 2FA enrollment in progress' });
+      }
+
+      const valid = await verifyTotp(user._id, user.twoFactorPendingSecret, req.body.code);
+      if (!valid) {
+        return res.status(400).json({ error: 'Invalid verification code' });
+      }
+
+      const { codes, hashes } = await generateRecoveryCodes();
+
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = null;
+      user.twoFactorRecoveryCodes = hashes;
+      user.twoFactorEnabled = true;
+      await user.save();
+
+      logger.info('2FA enabled', { userId: user._id });
+      await recordAudit('2fa.enabled', req, {
+        before: { twoFactorEnabled: false },
+        after: { twoFactorEnabled: true },
+      });
+
+      // Shown once - only hashes are kept
+      res.json({
+        message: 'Two-factor authentication enabled',
+        recoveryCodes: codes,
+      });
+    } catch (error) {
+      logger.error('2FA confirm error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to enable 2FA' });
+    }
+  }
+);
+
+/* ====================================
+   DISABLE
+==================================== */
+router.post(
+  '/disable',
+  [
+    body('password').notEmpty(),
+    body('code').isString().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.userId);
+      if (!user?.twoFactorEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      const isValid = await bcrypt.compare(req.body.password, user.password);
+      if (!isValid) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      const codeValid = await verifyTotp(user._id, user.twoFactorSecret, req.body.code)
+        || Boolean(await consumeRecoveryCode(user.twoFactorRecoveryCodes, req.body.code));
+
+      if (!codeValid) {
+        return res.status(401).json({ error: 'Invalid verification code' });
+      }
+
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = null;
+      user.twoFactorPendingSecret = null;
+      user.twoFactorRecoveryCodes = [];
+      await user.save();
+
+      logger.info('2FA disabled', { userId: user._id });
+      await recordAudit('2fa.disabled', req, {
+        before: { twoFactorEnabled: true },
+        after: { twoFactorEnabled: false },
+      });
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      logger.error('2FA disable error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to disable 2FA' });
+    }
+  }
+);
+
+/* ====================================
+   REGENERATE RECOVERY CODES
+==================================== */
+router.post(
+  '/recovery-codes',
+  [body('code').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.userId);
+      if (!user?.twoFactorEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      const valid = await verifyTotp(user._id, user.twoFactorSecret, req.body.code);
+      if (!valid) {
+        return res.status(401).json({ error: 'Invalid verification code' });
+      }
+
+      const { codes, hashes } = await generateRecoveryCodes();
+      user.twoFactorRecoveryCodes = hashes;
+      await user.save();
+
+      logger.info('2FA recovery codes regenerated', { userId: user._id });
+      await recordAudit('2fa.recovery_codes_regenerated', req);
+      res.json({ recoveryCodes: codes });
+    } catch (error) {
+      logger.error('2FA recovery codes error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+  }
+);
+
+export default router;
@@ -8,27 +8,45 @@ import compression from 'compression';
 import rateLimit from 'express-rate-limit';
 import cookieParser from 'cookie-parser';
 import dotenv from 'dotenv';
+import { createAdapter } from '@socket.io/redis-adapter';
 
 // Import routes
 import authRoutes from './api/auth.js';
 import userRoutes from './api/users.js';
+import twoFactorRoutes from './api/twoFactor.js';
+import auditRoutes from './api/audit.js';
+import sessionRoutes from './api/sessions.js';
 import accountRoutes from './api/accounts.js';
+import paperAccountRoutes from './api/paperAccounts.js';
 import channelRoutes from './api/channels.js';
+import channelOverrideRoutes from './api/channelOverrides.js';
+import channelTemplateRoutes from './api/channelTemplates.js';
+import channelBacktestRoutes from './api/channelBacktests.js';
 import settingsRoutes from './api/settings.js';
 import signalRoutes from './api/signals.js';
+import signalImageRoutes from './api/signalImages.js';
 import tradeRoutes from './api/trades.js';
+import adminRoutes from './api/admin.js';
 
 // Import middleware
-import { authMiddleware } from './middleware/auth.js';
+import { authMiddleware, requireRole } from './middleware/auth.js';
+import { auditChanges, accountSnapshot, settingsSnapshot } from './middleware/audit.js';
 import { errorHandler } from './middleware/errorHandler.js';
 
 // Import WebSocket handlers
 import { setupWebSocket } from './websocket/connection.js';
+import { startEventRouter, stopEventRouter } from './websocket/router.js';
 
 // Import services
 import { logger } from './utils/logger.js';
 import { connectDatabase } from './utils/database.js';
-import { connectRedis } from './utils/redis.js';
+import { connectRedis, redisClient } from './utils/redis.js';
+import { startLeaseKeeper, releaseAllLeases, WORKER_ID } from './services/lease.service.js';
+import { startTelegramSupervisor, stopTelegramSupervisor } from './services/supervisor.service.js';
+import { assertEncryptionConfigured } from './services/encryption.service.js';
+import { assertMailConfigured } from './services/mail.service.js';
+import { stopOcr } from './services/ocr.service.js';
+import { startPaperBroker, stopPaperBroker } from './services/paperBroker.service.js';
 
 dotenv.config();
 
@@ -50,6 +68,10 @@ const PORT = process.env.PORT || 5000;
 // Security
 app.use(helmet());
 
+// Number of reverse proxies in front of us (Render, nginx) so req.ip is
+// the client's address rather than the proxy's
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || 0);
+
 // CORS
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
@@ -96,12 +118,21 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/users/2fa', authMiddleware, twoFactorRoutes);
+app.use('/api/users/audit', authMiddleware, auditRoutes);
+app.use('/api/users/sessions', authMiddleware, sessionRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
-app.use('/api/accounts', authMiddleware, accountRoutes);
+app.use('/api/accounts/paper', authMiddleware, paperAccountRoutes);
+app.use('/api/accounts', authMiddleware, auditChanges('account', { loadBefore: accountSnapshot }), accountRoutes);
+app.use('/api/channels', authMiddleware, channelOverrideRoutes);
+app.use('/api/channels', authMiddleware, channelTemplateRoutes);
+app.use('/api/channels', authMiddleware, channelBacktestRoutes);
 app.use('/api/channels', authMiddleware, channelRoutes);
-app.use('/api/settings', authMiddleware, settingsRoutes);
+app.use('/api/settings', authMiddleware, auditChanges('settings', { loadBefore: settingsSnapshot }), settingsRoutes);
+app.use('/api/signals', authMiddleware, signalImageRoutes);
 app.use('/api/signals', authMiddleware, signalRoutes);
 app.use('/api/trades', authMiddleware, tradeRoutes);
+app.use('/api/admin', authMiddleware, requireRole('admin', 'support'), adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -126,6 +157,12 @@ setupWebSocket(io);
 
 async function startServer() {
   try {
+    // Stored sessions/credentials are encrypted - don't start without the key
+    assertEncryptionConfigured();
+
+    // Verification and reset mail must go out by SMTP in production
+    assertMailConfigured();
+
     // Connect to database
     await connectDatabase();
     logger.info('Database connected');
@@ -134,12 +171,31 @@ async function startServer() {
     await connectRedis();
     logger.info('Redis connected');
 
+    // Share socket rooms across workers
+    const pubClient = redisClient.duplicate();
+    const subClient = pubClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+
+    // Telegram client ownership and event routing between workers
+    startLeaseKeeper();
+    await startEventRouter(io);
+    logger.info('Worker registered', { workerId: WORKER_ID });
+
+    // SL/TP/entry checks for paper accounts
+    startPaperBroker();
+
     // Start HTTP server
     httpServer.listen(PORT, () => {
       logger.info(`🚀 Server running on port ${PORT}`);
       logger.info(`📡 WebSocket server ready`);
       logger.info(`🌐 Client URL: ${process.env.CLIENT_URL || 'http://localhost:3000'}`);
     });
+
+    // Reconnect saved Telegram sessions in the background
+    startTelegramSupervisor(io).catch((error) => {
+      logger.error('Telegram supervisor failed to start', { error: error.message });
+    });
   } catch (error) {
     logger.error('Failed to start server', { error: error.message });
     process.exit(1);
@@ -166,6 +222,13 @@ async function gracefulShutdown(signal) {
     logger.info('WebSocket server closed');
   });
 
+  // Hand Telegram clients to other workers
+  stopTelegramSupervisor();
+  stopPaperBroker();
+  await releaseAllLeases();
+  await stopEventRouter();
+  await stopOcr();
+
   // Add cleanup for database, redis, etc.
   process.exit(0);
 }
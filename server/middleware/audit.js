@@ -0,0 +1,69 @@
+// server/middleware/audit.js
+import mongoose from 'mongoose';
+import { logger } from '../utils/logger.js';
+import { Account } from '../models/Account.js';
+import { User } from '../models/User.js';
+import { recordAudit, pickFields } from '../services/audit.service.js';
+
+const ACTIONS = { POST: 'created', PUT: 'updated', PATCH: 'updated', DELETE: 'deleted' };
+
+// Never copied into an audit entry
+const SECRET_KEY = /password|secret|token|apikey/i;
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+    [key, SECRET_KEY.test(key) ? '[redacted]' : redact(item)]
+  )));
+}
+
+// Audits successful changes (POST/PUT/PATCH/DELETE) made through a router
+// that doesn't audit them itself, as `<resource>.created|updated|deleted`.
+// `loadBefore(req)` snapshots the current state ahead of the change.
+//
+//   app.use('/api/settings', authMiddleware, auditChanges('settings'), settingsRoutes);
+export function auditChanges(resource, { loadBefore } = {}) {
+  return async (req, res, next) => {
+    const verb = ACTIONS[req.method];
+    if (!verb) return next();
+
+    let before = null;
+    if (loadBefore) {
+      before = redact(await loadBefore(req).catch((error) => {
+        logger.error('Audit snapshot error', { resource, userId: req.userId, error: error.message });
+        return null;
+      }));
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      recordAudit(`${resource}.${verb}`, req, {
+        before,
+        after: redact(req.body) || null,
+        metadata: { method: req.method, path: req.originalUrl, status: res.statusCode },
+      });
+    });
+
+    next();
+  };
+}
+
+const ACCOUNT_AUDIT_FIELDS = ['name', 'platform', 'broker', 'server', 'login', 'enabled', 'symbolMappings'];
+
+// Trading account addressed by /api/accounts/:id, if any
+export async function accountSnapshot(req) {
+  const id = req.path.split('/')[1];
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const account = await Account.findOne({ _id: id, userId: req.userId }).lean();
+  return pickFields(account, ACCOUNT_AUDIT_FIELDS);
+}
+
+// The user's settings as they were before /api/settings changes them
+export async function settingsSnapshot(req) {
+  const user = await User.findById(req.userId).select('settings').lean();
+  return user?.settings ?? null;
+}
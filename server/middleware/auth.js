@@ -0,0 +1,54 @@
+// server/middleware/auth.js
+import { logger } from '../utils/logger.js';
+import { User } from '../models/User.js';
+import { verifyAccessToken } from '../services/token.service.js';
+
+export async function authMiddleware(req, res, next) {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    // Signature, expiry and the Redis revocation list
+    const decoded = await verifyAccessToken(token);
+
+    req.userId = decoded.userId;
+    req.userEmail = decoded.email;
+    req.sessionId = decoded.sid;
+    req.auth = decoded;
+
+    next();
+  } catch (error) {
+    logger.warn('Auth rejected', { error: error.message, ip: req.ip });
+    res.status(401).json({ error: 'Invalid token' });
+  }
+}
+
+// Use after authMiddleware: requireRole('admin') or requireRole('admin', 'support').
+// Looked up per request so role changes and suspensions apply immediately.
+export function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = await User.findById(req.userId).select('role suspended');
+
+      if (!user || user.suspended) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const role = user.role || 'user';
+
+      if (!roles.includes(role)) {
+        logger.warn('Role check failed', { userId: req.userId, role, required: roles, path: req.originalUrl });
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      req.userRole = role;
+      next();
+    } catch (error) {
+      logger.error('Role check error', { userId: req.userId, error: error.message });
+      res.status(500).json({ error: 'Authorization failed' });
+    }
+  };
+}
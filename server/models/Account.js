@@ -0,0 +1,93 @@
+// server/models/Account.js
+import mongoose from 'mongoose';
+import { encryptForUser, decryptForUser, isEncrypted } from '../services/encryption.service.js';
+
+// MT4/MT5 account traded through MetaApi. Broker passwords are encrypted
+// with the owner's data key on every write path (save and query updates),
+// so they are never stored in plain text.
+export const BROKER_SECRET_FIELDS = ['password', 'investorPassword'];
+
+const accountSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  platform: { type: String, enum: ['mt4', 'mt5'], default: 'mt5' },
+  broker: { type: String, default: null },
+  server: { type: String, required: true },
+  login: { type: String, required: true },
+  password: { type: String, default: null }, // encrypted
+  investorPassword: { type: String, default: null }, // encrypted
+  metaApiAccountId: { type: String, default: null },
+  // Last state reported by MetaApi: DEPLOYED/UNDEPLOYED..., CONNECTED/DISCONNECTED...
+  state: { type: String, default: null },
+  connectionStatus: { type: String, default: null },
+  connectionCheckedAt: { type: Date, default: null },
+  balance: { type: Number, default: null },
+  equity: { type: Number, default: null },
+  currency: { type: String, default: null },
+  // Channel symbol -> broker symbol ("XAUUSD" -> "GOLD.m")
+  symbolMappings: { type: Map, of: String, default: {} },
+  enabled: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Lets broker routing treat paper and live accounts alike
+accountSchema.virtual('type').get(() => 'live');
+accountSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    BROKER_SECRET_FIELDS.forEach((field) => delete ret[field]);
+    return ret;
+  },
+});
+
+// Plain-text broker secrets for provisioning the account with MetaApi
+accountSchema.methods.getBrokerSecrets = async function () {
+  const secrets = {};
+  for (const field of BROKER_SECRET_FIELDS) {
+    secrets[field] = await decryptForUser(this.userId, this[field]);
+  }
+  return secrets;
+};
+
+/* ================================
+   ENCRYPT ON WRITE
+================================ */
+
+accountSchema.pre('save', async function () {
+  for (const field of BROKER_SECRET_FIELDS) {
+    if (this.isModified(field) && this[field] && !isEncrypted(this[field])) {
+      this[field] = await encryptForUser(this.userId, this[field]);
+    }
+  }
+});
+
+accountSchema.pre(['updateOne', 'findOneAndUpdate'], async function () {
+  const update = this.getUpdate() || {};
+  const targets = [update, update.$set].filter(Boolean);
+
+  const plain = targets.flatMap((target) => BROKER_SECRET_FIELDS
+    .filter((field) => target[field] && !isEncrypted(target[field]))
+    .map((field) => [target, field]));
+  if (plain.length === 0) return;
+
+  const userId = update.userId || update.$set?.userId || this.getQuery().userId
+    || (await this.model.findOne(this.getQuery()).select('userId'))?.userId;
+  if (!userId) {
+    throw new Error('Cannot encrypt broker credentials without the account owner');
+  }
+
+  for (const [target, field] of plain) {
+    target[field] = await encryptForUser(userId, target[field]);
+  }
+});
+
+// A bulk write can't pick one user's data key
+accountSchema.pre('updateMany', function () {
+  const update = this.getUpdate() || {};
+  if (BROKER_SECRET_FIELDS.some((field) => update[field] || update.$set?.[field])) {
+    throw new Error('Broker credentials must be updated one account at a time');
+  }
+});
+
+export const Account = mongoose.model('Account', accountSchema);
@@ -0,0 +1,48 @@
+// server/models/AuditLog.js
+import mongoose from 'mongoose';
+
+// Append-only record of security-relevant account actions. `userId` is
+// the account the action applies to; `actorId` is who performed it
+// (the user themself, an admin, or null for the system or an
+// unauthenticated caller such as a failed login).
+const auditLogSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  actorType: { type: String, enum: ['user', 'admin', 'system', 'anonymous'], default: 'user' },
+  action: { type: String, required: true },
+  ip: String,
+  userAgent: String,
+  device: { type: mongoose.Schema.Types.Mixed, default: null }, // parsed user agent
+  location: { type: mongoose.Schema.Types.Mixed, default: null }, // GeoIP city/country
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+
+// Entries can be added, never changed or removed through the app
+const APPEND_ONLY_OPS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+];
+
+auditLogSchema.pre(APPEND_ONLY_OPS, function (next) {
+  next(new Error('Audit log is append-only'));
+});
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log is append-only'));
+  }
+  next();
+});
+
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
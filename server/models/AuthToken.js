@@ -0,0 +1,21 @@
+// server/models/AuthToken.js
+import mongoose from 'mongoose';
+
+// Single-use tokens sent by email (verification, password reset).
+// Only the SHA-256 hash is stored.
+const authTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: {
+    type: String,
+    enum: ['verifyEmail', 'resetPassword'],
+    required: true,
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthToken = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,34 @@
+// server/models/Backtest.js
+import mongoose from 'mongoose';
+
+// A dry run of a channel's recent history against CSV candles. Created by
+// the API, run on the worker that owns the user's Telegram clients.
+const backtestSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  channel: { type: mongoose.Schema.Types.ObjectId, ref: 'Channel', required: true },
+  channelId: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+  },
+  params: {
+    limit: Number,
+    expiryHours: Number,
+    maxHoldHours: Number,
+  },
+  progress: {
+    processed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  stats: { type: mongoose.Schema.Types.Mixed, default: null },
+  trades: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  error: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null },
+});
+
+backtestSchema.index({ userId: 1, channel: 1, createdAt: -1 });
+
+export const Backtest = mongoose.model('Backtest', backtestSchema);
@@ -0,0 +1,41 @@
+// server/models/Channel.js
+import mongoose from 'mongoose';
+
+// A subscription to a Telegram channel or group (or one forum topic in it),
+// followed from one of the user's linked Telegram accounts.
+const parsingTemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: null },
+    type: { type: String, enum: ['pattern', 'regex'], required: true },
+    pattern: { type: String, required: true },
+    flags: String, // regex templates only
+    // Channel spelling -> symbol ("GOLD" -> "XAUUSD")
+    symbolAliases: { type: mongoose.Schema.Types.Mixed, default: {} },
+    enabled: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
+
+const channelSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Linked account the channel is followed from; null until
+  // migrate:telegram-identities assigns subscriptions made before multi-account
+  telegramIdentityId: { type: mongoose.Schema.Types.ObjectId, ref: 'TelegramIdentity', default: null },
+  channelId: { type: String, required: true },
+  title: { type: String, default: '' },
+  // Forum topic; null follows the whole chat
+  topicId: { type: Number, default: null },
+  topicTitle: { type: String, default: null },
+  enabled: { type: Boolean, default: true },
+  // Per-channel risk settings (see channelConfig.service.js); unset fields
+  // use the global defaults
+  overrides: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Tried in order before the built-in parser (see template.service.js)
+  parsingTemplates: { type: [parsingTemplateSchema], default: [] },
+  createdAt: { type: Date, default: Date.now },
+});
+
+channelSchema.index({ userId: 1, telegramIdentityId: 1, enabled: 1 });
+channelSchema.index({ userId: 1, channelId: 1, topicId: 1 });
+
+export const Channel = mongoose.model('Channel', channelSchema);
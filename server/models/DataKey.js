@@ -0,0 +1,14 @@
+// server/models/DataKey.js
+import mongoose from 'mongoose';
+
+// Per-user data encryption key, stored wrapped (encrypted) by a master key.
+// keyVersion names the master key used so keys can be rotated.
+const dataKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  keyVersion: { type: String, required: true },
+  wrappedKey: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  rotatedAt: { type: Date, default: null },
+});
+
+export const DataKey = mongoose.model('DataKey', dataKeySchema);
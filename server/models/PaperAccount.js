@@ -0,0 +1,23 @@
+// server/models/PaperAccount.js
+import mongoose from 'mongoose';
+
+// Simulated broker account. Positions are ordinary Trade documents with
+// `paper: true` and `accountId` pointing here, so the dashboard, follow-ups
+// and amendments treat them like live trades.
+const paperAccountSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  currency: { type: String, default: 'USD' },
+  initialBalance: { type: Number, required: true },
+  balance: { type: Number, required: true },
+  realizedProfit: { type: Number, default: 0 },
+  enabled: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  resetAt: { type: Date, default: null },
+});
+
+// Lets broker routing treat paper and live accounts alike
+paperAccountSchema.virtual('type').get(() => 'paper');
+paperAccountSchema.set('toJSON', { virtuals: true });
+
+export const PaperAccount = mongoose.model('PaperAccount', paperAccountSchema);
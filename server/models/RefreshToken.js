@@ -0,0 +1,24 @@
+// server/models/RefreshToken.js
+import mongoose from 'mongoose';
+
+// Refresh tokens are stored hashed. Every login starts a new family
+// (one per device); each refresh replaces the token within its family.
+// Presenting an already-rotated token revokes the whole family.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  replacedByHash: { type: String, default: null },
+  ip: String,
+  userAgent: String,
+  device: { type: mongoose.Schema.Types.Mixed, default: null },
+  location: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Let MongoDB drop expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
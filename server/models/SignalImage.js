@@ -0,0 +1,21 @@
+// server/models/SignalImage.js
+import mongoose from 'mongoose';
+
+// Raw image of a photo signal, kept for the signal history. Stored apart
+// from SignalMessage so listing history doesn't load image data.
+const signalImageSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  channelId: { type: String, required: true },
+  messageId: { type: Number, required: true },
+  mimeType: { type: String, default: 'image/jpeg' },
+  size: Number,
+  data: { type: Buffer, required: true },
+  createdAt: { type: Date, default: Date.now },
+  // Removed by MongoDB after this; null keeps the image
+  expiresAt: { type: Date, default: null },
+});
+
+signalImageSchema.index({ userId: 1, channelId: 1, messageId: 1 }, { unique: true });
+signalImageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const SignalImage = mongoose.model('SignalImage', signalImageSchema);
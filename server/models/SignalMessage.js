@@ -0,0 +1,36 @@
+// server/models/SignalMessage.js
+import mongoose from 'mongoose';
+
+// One document per channel message we acted on, keyed by the Telegram
+// message ID so later edits, deletions and replies can find the original.
+const revisionSchema = new mongoose.Schema(
+  {
+    text: String,
+    signal: mongoose.Schema.Types.Mixed,
+    editedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const signalMessageSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  channelId: { type: String, required: true },
+  messageId: { type: Number, required: true },
+  text: { type: String, default: '' },
+  // Photo signals: text read from the image (included in `text`) and the stored image
+  ocrText: { type: String, default: null },
+  imageId: { type: mongoose.Schema.Types.ObjectId, ref: 'SignalImage', default: null },
+  signal: { type: mongoose.Schema.Types.Mixed, default: null },
+  status: {
+    type: String,
+    enum: ['active', 'amended', 'retracted'],
+    default: 'active',
+  },
+  revisions: [revisionSchema],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+signalMessageSchema.index({ userId: 1, channelId: 1, messageId: 1 }, { unique: true });
+
+export const SignalMessage = mongoose.model('SignalMessage', signalMessageSchema);
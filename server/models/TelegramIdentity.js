@@ -0,0 +1,26 @@
+// server/models/TelegramIdentity.js
+import mongoose from 'mongoose';
+
+// A Telegram account linked to a user. A user can link several; each has
+// its own session, client and channel subscriptions (Channel.telegramIdentityId).
+const telegramIdentitySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Telegram's user ID; filled in on first restore for migrated sessions
+  telegramUserId: { type: String, default: null },
+  phone: { type: String, default: null },
+  username: { type: String, default: null },
+  displayName: { type: String, default: null },
+  session: { type: String, default: null }, // encrypted StringSession
+  connected: { type: Boolean, default: false },
+  connectedAt: { type: Date, default: null },
+  // Browser the account was linked from, for the sessions view
+  loginClient: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+telegramIdentitySchema.index(
+  { userId: 1, telegramUserId: 1 },
+  { unique: true, partialFilterExpression: { telegramUserId: { $type: 'string' } } }
+);
+
+export const TelegramIdentity = mongoose.model('TelegramIdentity', telegramIdentitySchema);
@@ -0,0 +1,51 @@
+// server/models/Trade.js
+import mongoose from 'mongoose';
+
+// One position (or pending order) copied from a signal, one per take-profit
+// leg. Live trades mirror the broker; paper trades (`paper: true`) are
+// simulated by paperBroker.service.js against a PaperAccount.
+const tradeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Account or PaperAccount, depending on `paper`
+  accountId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  paper: { type: Boolean, default: false },
+
+  // Signal the trade was copied from
+  channelId: { type: String, required: true },
+  messageId: { type: Number, default: null },
+
+  positionId: { type: String, required: true },
+  symbol: { type: String, required: true },
+  direction: { type: String, enum: ['buy', 'sell'], required: true },
+  orderType: { type: String, enum: ['market', 'limit', 'stop'], default: 'market' },
+  volume: { type: Number, required: true },
+  openPrice: { type: Number, default: null },
+  stopLoss: { type: Number, default: null },
+  takeProfit: { type: Number, default: null },
+  tpLevel: { type: Number, default: 1 },
+
+  status: {
+    type: String,
+    enum: ['pending', 'open', 'closed', 'cancelled'],
+    default: 'open',
+  },
+  closePrice: { type: Number, default: null },
+  profit: { type: Number, default: 0 },
+  closeReason: { type: String, default: null },
+
+  openedAt: { type: Date, default: null },
+  // Pending orders are cancelled after this
+  expiresAt: { type: Date, default: null },
+  // Paper trades: prices up to here have been checked against SL/TP/entry
+  checkedUntil: { type: Date, default: null },
+  closedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+tradeSchema.index({ userId: 1, channelId: 1, messageId: 1, status: 1 });
+tradeSchema.index({ userId: 1, positionId: 1 });
+tradeSchema.index({ paper: 1, status: 1, userId: 1 });
+tradeSchema.index({ accountId: 1, status: 1 });
+
+export const Trade = mongoose.model('Trade', tradeSchema);
@@ -0,0 +1,42 @@
+// server/models/User.js
+import mongoose from 'mongoose';
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  password: { type: String, required: true }, // bcrypt hash
+  name: { type: String, trim: true },
+
+  // Email verification; accounts created before it existed have no flag
+  emailVerified: { type: Boolean },
+  emailVerifiedAt: { type: Date, default: null },
+  passwordChangedAt: { type: Date, default: null },
+
+  // TOTP two-factor; secrets are encrypted, recovery codes hashed
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, default: null },
+  twoFactorPendingSecret: { type: String, default: null },
+  twoFactorRecoveryCodes: { type: [String], default: [] },
+
+  role: { type: String, enum: ['user', 'support', 'admin'], default: 'user' },
+  suspended: { type: Boolean, default: false },
+  suspendedAt: { type: Date, default: null },
+  suspendedReason: { type: String, default: null },
+  suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  // Risk and copy settings from /api/settings; unset fields use the
+  // global defaults (see channelConfig.service.js)
+  settings: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // Single-account Telegram fields, moved to TelegramIdentity by
+  // migrate:telegram-identities; read only by the migrations
+  telegramSession: { type: String, default: null },
+  telegramConnected: Boolean,
+  telegramPhone: String,
+  telegramConnectedAt: Date,
+  telegramLoginClient: mongoose.Schema.Types.Mixed,
+
+  lastLogin: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+export const User = mongoose.model('User', userSchema);
@@ -0,0 +1,91 @@
+// server/scripts/encrypt-secrets.js
+// Encrypts secrets still stored as plain text and re-wraps data keys that
+// use an old master key. Safe to run repeatedly.
+//
+//   npm run migrate:encrypt
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { logger } from '../utils/logger.js';
+import { connectDatabase } from '../utils/database.js';
+import { User } from '../models/User.js';
+import { DataKey } from '../models/DataKey.js';
+import { TelegramIdentity } from '../models/TelegramIdentity.js';
+import { Account, BROKER_SECRET_FIELDS } from '../models/Account.js';
+import {
+  assertEncryptionConfigured,
+  encryptForUser,
+  isEncrypted,
+  rotateDataKey,
+} from '../services/encryption.service.js';
+
+dotenv.config();
+
+// Collections and fields holding per-user secrets
+const ENCRYPTED_FIELDS = [
+  { model: TelegramIdentity, userIdField: 'userId', fields: ['session'] },
+  { model: Account, userIdField: 'userId', fields: BROKER_SECRET_FIELDS },
+  // Single-account sessions not yet moved by migrate:telegram-identities
+  { model: User, userIdField: '_id', fields: ['telegramSession'] },
+];
+
+async function encryptPlaintextSecrets() {
+  let encrypted = 0;
+
+  for (const { model, userIdField, fields } of ENCRYPTED_FIELDS) {
+    const query = { $or: fields.map((field) => ({ [field]: { $nin: [null, ''] } })) };
+    const cursor = model.find(query).select([userIdField, ...fields].join(' ')).cursor();
+
+    for await (const doc of cursor) {
+      const update = {};
+
+      for (const field of fields) {
+        const value = doc[field];
+        if (value && !isEncrypted(value)) {
+          update[field] = await encryptForUser(doc[userIdField], value);
+        }
+      }
+
+      if (Object.keys(update).length > 0) {
+        await model.updateOne({ _id: doc._id }, { $set: update });
+        encrypted++;
+      }
+    }
+  }
+
+  return encrypted;
+}
+
+async function rewrapDataKeys() {
+  let rotated = 0;
+
+  const stale = await DataKey.find({
+    keyVersion: { $ne: process.env.ENCRYPTION_ACTIVE_KEY_VERSION },
+  }).select('userId');
+
+  for (const { userId } of stale) {
+    if (await rotateDataKey(userId)) {
+      rotated++;
+    }
+  }
+
+  return rotated;
+}
+
+async function run() {
+  try {
+    assertEncryptionConfigured();
+    await connectDatabase();
+
+    const encrypted = await encryptPlaintextSecrets();
+    const rotated = await rewrapDataKeys();
+
+    logger.info('Secret migration complete', { encrypted, rotated });
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Secret migration failed', { error: error.message });
+    process.exit(1);
+  }
+}
+
+run();
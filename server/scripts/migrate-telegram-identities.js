@@ -0,0 +1,112 @@
+// server/scripts/migrate-telegram-identities.js
+// Moves single-account Telegram sessions from User into TelegramIdentity
+// records and ties existing channel subscriptions to them. Safe to run
+// repeatedly.
+//
+//   npm run migrate:telegram-identities
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { logger } from '../utils/logger.js';
+import { connectDatabase } from '../utils/database.js';
+import { User } from '../models/User.js';
+import { Channel } from '../models/Channel.js';
+import { TelegramIdentity } from '../models/TelegramIdentity.js';
+import {
+  assertEncryptionConfigured,
+  encryptForUser,
+  isEncrypted,
+} from '../services/encryption.service.js';
+
+dotenv.config();
+
+const LEGACY_FIELDS = [
+  'telegramSession',
+  'telegramConnected',
+  'telegramPhone',
+  'telegramConnectedAt',
+  'telegramLoginClient',
+];
+
+async function migrateUser(user) {
+  const session = isEncrypted(user.telegramSession)
+    ? user.telegramSession
+    : await encryptForUser(user._id, user.telegramSession);
+
+  // Keyed on the session so a re-run after a crash doesn't duplicate it.
+  // telegramUserId is filled in the first time the session is restored.
+  const identity = await TelegramIdentity.findOneAndUpdate(
+    { userId: user._id, session },
+    {
+      $setOnInsert: {
+        phone: user.telegramPhone || null,
+        connected: Boolean(user.telegramConnected),
+        connectedAt: user.telegramConnectedAt || null,
+        loginClient: user.telegramLoginClient || null,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const { modifiedCount } = await Channel.updateMany(
+    { userId: user._id, telegramIdentityId: null },
+    { telegramIdentityId: identity._id }
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    { $unset: Object.fromEntries(LEGACY_FIELDS.map((field) => [field, 1])) }
+  );
+
+  return modifiedCount;
+}
+
+// Subscriptions without an account whose user has since linked exactly one:
+// unambiguous, so give them to it. With several, the user resubscribes.
+async function assignOrphanedChannels() {
+  let assigned = 0;
+  const userIds = await Channel.distinct('userId', { telegramIdentityId: null });
+
+  for (const userId of userIds) {
+    const identities = await TelegramIdentity.find({ userId }).select('_id').limit(2);
+    if (identities.length !== 1) continue;
+
+    const { modifiedCount } = await Channel.updateMany(
+      { userId, telegramIdentityId: null },
+      { telegramIdentityId: identities[0]._id }
+    );
+    assigned += modifiedCount;
+  }
+
+  return assigned;
+}
+
+async function run() {
+  try {
+    assertEncryptionConfigured();
+    await connectDatabase();
+
+    const cursor = User.find({ telegramSession: { $nin: [null, ''] } })
+      .select(['_id', ...LEGACY_FIELDS].join(' '))
+      .lean()
+      .cursor();
+
+    let users = 0;
+    let channels = 0;
+
+    for await (const user of cursor) {
+      channels += await migrateUser(user);
+      users++;
+    }
+
+    channels += await assignOrphanedChannels();
+
+    logger.info('Telegram identity migration complete', { users, channels });
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Telegram identity migration failed', { error: error.message });
+    process.exit(1);
+  }
+}
+
+run();
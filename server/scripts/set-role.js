@@ -0,0 +1,41 @@
+// server/scripts/set-role.js
+// Sets a user's role from the command line. Needed to create the first
+// admin, since only admins can change roles through the API.
+//
+//   npm run set-role -- admin@example.com admin
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { logger } from '../utils/logger.js';
+import { connectDatabase } from '../utils/database.js';
+import { User } from '../models/User.js';
+
+dotenv.config();
+
+const ROLES = ['user', 'support', 'admin'];
+
+async function run() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    await connectDatabase();
+
+    const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role });
+    if (!user) {
+      throw new Error(`No user with email ${email}`);
+    }
+
+    logger.info('Role updated', { email, from: user.role || 'user', to: role });
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Set role failed', { error: error.message });
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,187 @@
+// server/services/amendment.service.js
+import { logger } from '../utils/logger.js';
+import { SignalMessage } from '../models/SignalMessage.js';
+import { executeAmendment } from './execution.service.js';
+import { extractSignal } from './extractor.service.js';
+
+// Fields that identify the trade itself. If any of these change the
+// provider has effectively posted a different signal, so we cancel.
+const IDENTITY_FIELDS = ['symbol', 'direction'];
+
+// Fields that can be applied to an open trade as a modification
+const MODIFIABLE_FIELDS = ['entry', 'stopLoss', 'takeProfits'];
+
+/* ================================
+   RECORD ORIGINAL MESSAGE
+================================ */
+
+// Same extraction (and confidence bar) as new signals, so an edit is
+// compared like for like with the original
+async function parseForAmendment(channel, text) {
+  const { signal, accepted } = await extractSignal(channel, text);
+  return accepted ? signal : null;
+}
+
+// Remember a channel message so later edits/deletes can be matched to it.
+// `signal` is the one already extracted (and executed) for the message, so
+// edits are diffed against what was actually traded.
+export async function recordSignalMessage(userId, channel, messageId, text, { signal = null, ocrText = null } = {}) {
+  try {
+    await SignalMessage.findOneAndUpdate(
+      { userId, channelId: channel.channelId, messageId },
+      {
+        $setOnInsert: {
+          text,
+          ocrText,
+          signal,
+          status: 'active',
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error('Record signal message error', {
+      userId,
+      channelId: channel.channelId,
+      messageId,
+      error: error.message,
+    });
+  }
+}
+
+/* ================================
+   DIFF
+================================ */
+
+// Compare two parsed signals and decide what to do with the open trades
+export function diffSignals(original, updated) {
+  if (!original) {
+    return { action: null, changes: {} };
+  }
+
+  if (!updated) {
+    return { action: 'cancel', changes: {} };
+  }
+
+  const identityChanged = IDENTITY_FIELDS.some(
+    (field) => !isEqual(original[field], updated[field])
+  );
+
+  if (identityChanged) {
+    return { action: 'cancel', changes: {} };
+  }
+
+  const changes = {};
+  MODIFIABLE_FIELDS.forEach((field) => {
+    if (!isEqual(original[field], updated[field])) {
+      changes[field] = { from: original[field] ?? null, to: updated[field] ?? null };
+    }
+  });
+
+  if (Object.keys(changes).length === 0) {
+    return { action: null, changes };
+  }
+
+  return { action: 'modify', changes };
+}
+
+/* ================================
+   HANDLE EDIT
+================================ */
+
+export async function handleSignalEdit(userId, channel, messageId, text, notifier) {
+  const record = await SignalMessage.findOne({
+    userId,
+    channelId: channel.channelId,
+    messageId,
+  });
+
+  // Edit of a message we never saw (or already retracted) - nothing to amend
+  if (!record || record.status === 'retracted') {
+    return null;
+  }
+
+  const updated = await parseForAmendment(channel, text);
+  const { action, changes } = diffSignals(record.signal, updated);
+
+  if (!action) {
+    logger.info('Signal edit has no trade impact', { userId, channelId: channel.channelId, messageId });
+    return null;
+  }
+
+  record.revisions.push({ text: record.text, signal: record.signal, editedAt: new Date() });
+  record.text = text;
+  record.signal = updated;
+  record.status = action === 'cancel' ? 'retracted' : 'amended';
+  record.updatedAt = new Date();
+  await record.save();
+
+  await executeAmendment(userId, channel, text, notifier, {
+    action,
+    messageId,
+    changes,
+  });
+
+  const payload = {
+    channelId: channel.channelId,
+    channelTitle: channel.title,
+    messageId,
+    timestamp: new Date(),
+  };
+
+  if (action === 'cancel') {
+    notifier.emit('signal:retracted', { ...payload, reason: 'edited' });
+  } else {
+    notifier.emit('signal:amended', { ...payload, changes, message: text });
+  }
+
+  logger.info('Signal amended', { userId, channel: channel.title, messageId, action });
+
+  return { action, changes };
+}
+
+/* ================================
+   HANDLE DELETE
+================================ */
+
+export async function handleSignalDelete(userId, channel, messageIds, notifier) {
+  const records = await SignalMessage.find({
+    userId,
+    channelId: channel.channelId,
+    messageId: { $in: messageIds },
+    status: { $ne: 'retracted' },
+  });
+
+  for (const record of records) {
+    record.status = 'retracted';
+    record.updatedAt = new Date();
+    await record.save();
+
+    await executeAmendment(userId, channel, record.text, notifier, {
+      action: 'cancel',
+      messageId: record.messageId,
+      changes: {},
+    });
+
+    notifier.emit('signal:retracted', {
+      channelId: channel.channelId,
+      channelTitle: channel.title,
+      messageId: record.messageId,
+      reason: 'deleted',
+      timestamp: new Date(),
+    });
+
+    logger.info('Signal retracted', { userId, channel: channel.title, messageId: record.messageId });
+  }
+
+  return records.length;
+}
+
+/* ================================
+   UTILITY FUNCTIONS
+================================ */
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
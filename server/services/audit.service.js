@@ -0,0 +1,66 @@
+// server/services/audit.service.js
+import { AuditLog } from '../models/AuditLog.js';
+import { logger } from '../utils/logger.js';
+import { getClientInfo } from './device.service.js';
+
+// Write one audit entry. `source` is the Express request or the socket the
+// action came in on; IP, device and location are taken from it. Failures are
+// logged, never thrown - an audit write must not break the action itself.
+//
+//   await recordAudit('channel.subscribed', socket, { after: { channelId } });
+//   await recordAudit('admin.suspended', req, { userId: target, before, after });
+export async function recordAudit(action, source, {
+  userId,
+  actorId,
+  actorType,
+  before = null,
+  after = null,
+  metadata = null,
+} = {}) {
+  const context = sourceContext(source);
+  const subject = userId || context.userId;
+  const actor = actorId === undefined ? context.actorId : actorId;
+
+  try {
+    const { ip, userAgent, device, location } = await getClientInfo(source);
+
+    await AuditLog.create({
+      userId: subject,
+      actorId: actor || null,
+      actorType: actorType || resolveActorType(actor, subject),
+      action,
+      ip,
+      userAgent,
+      device,
+      location,
+      before,
+      after,
+      metadata,
+    });
+  } catch (error) {
+    logger.error('Audit log write error', { action, userId: subject, error: error.message });
+  }
+}
+
+// Copy only the listed fields, for before/after snapshots
+export function pickFields(doc, fields) {
+  if (!doc) return null;
+
+  return fields.reduce((snapshot, field) => {
+    snapshot[field] = doc[field] ?? null;
+    return snapshot;
+  }, {});
+}
+
+function resolveActorType(actor, subject) {
+  if (!actor) return 'system';
+  return String(actor) === String(subject) ? 'user' : 'admin';
+}
+
+// A routed RemoteSocket may carry the admin that dispatched the event
+function sourceContext(source) {
+  return {
+    userId: source?.userId || null,
+    actorId: source?.actorId || source?.userId || null,
+  };
+}
@@ -0,0 +1,46 @@
+// server/services/authToken.service.js
+import crypto from 'crypto';
+import { AuthToken } from '../models/AuthToken.js';
+
+export const AUTH_TOKEN_TTL = {
+  verifyEmail: 24 * 60 * 60 * 1000, // 24 hours
+  resetPassword: 60 * 60 * 1000, // 1 hour
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a new emailed token; earlier unused ones of the same type stop working
+export async function issueAuthToken(userId, type) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await AuthToken.updateMany(
+    { userId, type, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  await AuthToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL[type]),
+  });
+
+  return token;
+}
+
+// Mark the token used and return its userId, or null if invalid/expired/used
+export async function consumeAuthToken(token, type) {
+  const record = await AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+
+  return record ? record.userId : null;
+}
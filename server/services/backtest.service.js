@@ -0,0 +1,285 @@
+// server/services/backtest.service.js
+import { logger } from '../utils/logger.js';
+import { Backtest } from '../models/Backtest.js';
+import { extractSignal } from './extractor.service.js';
+import { extractMessageText } from './media.service.js';
+import { fetchChannelHistory } from './dialog.service.js';
+import { loadCandles, findCandleIndex } from './ohlc.service.js';
+import { resolveChannelSettings, isWithinActiveHours, isSymbolAllowed } from './channelConfig.service.js';
+
+// Replays a channel's recent messages through the live extraction path and
+// simulates each signal on historical candles. Results are in R multiples
+// (profit / initial risk) so channels trading different symbols compare.
+//
+// Fill model: market signals fill at the open of the first candle after the
+// message; limit/stop signals fill when price touches the entry, or expire.
+// Take profits close equal parts of the position; SL closes the rest. When a
+// candle touches both SL and a TP, SL is assumed to come first.
+
+export const BACKTEST_MAX_MESSAGES = parseInt(process.env.BACKTEST_MAX_MESSAGES) || 1000;
+const MAX_STORED_TRADES = 500;
+const PROGRESS_EVERY = 25;
+
+/* ================================
+   SIMULATION
+================================ */
+
+function entryTarget(signal, isBuy) {
+  if (!Array.isArray(signal.entry)) return signal.entry;
+  // Range: the edge price reaches first
+  const [low, high] = signal.entry;
+  return signal.orderType === 'stop' ? (isBuy ? low : high) : (isBuy ? high : low);
+}
+
+function findFill(signal, candles, start, expiresAt, isBuy) {
+  const pending = signal.orderType === 'limit' || signal.orderType === 'stop';
+  if (!pending || !signal.entry) {
+    return { index: start, price: candles.open[start] };
+  }
+
+  const target = entryTarget(signal, isBuy);
+  const touchesBelow = (i) => candles.low[i] <= target;
+  const touchesAbove = (i) => candles.high[i] >= target;
+  const touched = signal.orderType === 'limit'
+    ? (isBuy ? touchesBelow : touchesAbove)
+    : (isBuy ? touchesAbove : touchesBelow);
+
+  for (let i = start; i < candles.length && candles.time[i] <= expiresAt; i++) {
+    if (touched(i)) return { index: i, price: target };
+  }
+
+  return null;
+}
+
+// Outcome of one signal posted at `postedAt` (ms)
+export function simulateSignal(signal, candles, postedAt, { expiryHours, maxHoldHours }) {
+  if (!signal.stopLoss) {
+    return { outcome: 'skipped', reason: 'noStopLoss' };
+  }
+
+  const start = findCandleIndex(candles, postedAt);
+  if (start < 0) {
+    return { outcome: 'noData' };
+  }
+
+  const isBuy = signal.direction === 'buy';
+  const direction = isBuy ? 1 : -1;
+
+  const fill = findFill(signal, candles, start, postedAt + expiryHours * 3600000, isBuy);
+  if (!fill) {
+    return { outcome: 'unfilled' };
+  }
+
+  const entryPrice = fill.price;
+  const risk = (entryPrice - signal.stopLoss) * direction;
+  if (risk <= 0) {
+    return { outcome: 'skipped', reason: 'invalidStopLoss' };
+  }
+
+  // Nearest TP first; ignore any on the wrong side of the entry
+  const targets = (signal.takeProfits || [])
+    .filter((tp) => (tp - entryPrice) * direction > 0)
+    .sort((a, b) => (a - b) * direction);
+  const share = 1 / Math.max(targets.length, 1);
+
+  let remaining = 1;
+  let rMultiple = 0;
+  let targetsHit = 0;
+  let exitReason = null;
+  let exitIndex = fill.index;
+  const closeBy = candles.time[fill.index] + maxHoldHours * 3600000;
+
+  for (let i = fill.index; i < candles.length && candles.time[i] <= closeBy; i++) {
+    exitIndex = i;
+
+    const stopped = isBuy ? candles.low[i] <= signal.stopLoss : candles.high[i] >= signal.stopLoss;
+    if (stopped) {
+      rMultiple -= remaining;
+      remaining = 0;
+      exitReason = 'stopLoss';
+      break;
+    }
+
+    while (targetsHit < targets.length) {
+      const tp = targets[targetsHit];
+      const reached = isBuy ? candles.high[i] >= tp : candles.low[i] <= tp;
+      if (!reached) break;
+
+      rMultiple += share * ((tp - entryPrice) * direction) / risk;
+      remaining -= share;
+      targetsHit += 1;
+    }
+
+    if (targets.length && targetsHit === targets.length) {
+      remaining = 0;
+      exitReason = 'takeProfit';
+      break;
+    }
+  }
+
+  // Still open at the holding limit (or the end of the data): close at market
+  if (remaining > 0) {
+    rMultiple += remaining * ((candles.close[exitIndex] - entryPrice) * direction) / risk;
+    exitReason = exitIndex === candles.length - 1 ? 'endOfData' : 'timeLimit';
+  }
+
+  return {
+    outcome: 'closed',
+    entryPrice,
+    entryTime: new Date(candles.time[fill.index]),
+    exitTime: new Date(candles.time[exitIndex]),
+    exitReason,
+    targetsHit,
+    rMultiple: Math.round(rMultiple * 1000) / 1000,
+  };
+}
+
+/* ================================
+   STATISTICS
+================================ */
+
+export function summarizeTrades(trades) {
+  const counts = {};
+  trades.forEach((trade) => {
+    const key = trade.outcome === 'skipped' ? `skipped:${trade.reason}` : trade.outcome;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  const closed = trades
+    .filter((trade) => trade.outcome === 'closed')
+    .sort((a, b) => a.exitTime - b.exitTime);
+
+  const wins = closed.filter((trade) => trade.rMultiple > 0);
+  const losses = closed.filter((trade) => trade.rMultiple < 0);
+  const sum = (list) => list.reduce((total, trade) => total + trade.rMultiple, 0);
+
+  // Deepest fall of the cumulative R curve from its previous high
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  closed.forEach((trade) => {
+    equity += trade.rMultiple;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+  });
+
+  const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+  return {
+    signals: trades.length,
+    outcomes: counts,
+    closedTrades: closed.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: closed.length ? round(wins.length / closed.length) : null,
+    totalR: round(sum(closed)),
+    expectancyR: closed.length ? round(sum(closed) / closed.length) : null,
+    averageWinR: wins.length ? round(sum(wins) / wins.length) : null,
+    averageLossR: losses.length ? round(sum(losses) / losses.length) : null,
+    profitFactor: losses.length ? round(sum(wins) / Math.abs(sum(losses))) : null,
+    maxDrawdownR: round(maxDrawdown),
+  };
+}
+
+/* ================================
+   RUN
+================================ */
+
+// The channel's own gates (hours, symbols, open-trade limit) at the time
+// the message was posted
+function channelGate(settings, signal, postedAt, openTrades) {
+  if (!isWithinActiveHours(settings.activeHours, new Date(postedAt))) return 'outsideActiveHours';
+  if (!isSymbolAllowed(settings, signal.symbol)) return 'symbolNotAllowed';
+  if (settings.maxOpenTrades && openTrades.filter((exit) => exit > postedAt).length >= settings.maxOpenTrades) {
+    return 'maxOpenTrades';
+  }
+  return null;
+}
+
+export async function runBacktest(backtest, channel, client, { onProgress } = {}) {
+  const { limit, expiryHours, maxHoldHours } = backtest.params;
+  const settings = resolveChannelSettings(channel);
+
+  backtest.status = 'running';
+  backtest.updatedAt = new Date();
+  await backtest.save();
+
+  try {
+    const messages = await fetchChannelHistory(client, channel, limit);
+    backtest.progress = { processed: 0, total: messages.length };
+
+    const trades = [];
+    const openTrades = []; // exit times (ms) of simulated trades
+
+    for (const [index, message] of messages.entries()) {
+      const postedAt = message.date * 1000;
+      const { text } = await extractMessageText(backtest.userId, channel, client, message);
+
+      if (text) {
+        const { signal, confidence, accepted } = await extractSignal(channel, text);
+
+        if (signal && accepted) {
+          const base = {
+            messageId: message.id,
+            postedAt: new Date(postedAt),
+            symbol: signal.symbol,
+            direction: signal.direction,
+            confidence,
+          };
+
+          const gate = channelGate(settings, signal, postedAt, openTrades);
+          const candles = gate ? null : await loadCandles(signal.symbol);
+
+          let result;
+          if (gate) {
+            result = { outcome: 'skipped', reason: gate };
+          } else if (!candles) {
+            result = { outcome: 'noData' };
+          } else {
+            result = simulateSignal(signal, candles, postedAt, { expiryHours, maxHoldHours });
+          }
+
+          if (result.outcome === 'closed') {
+            openTrades.push(result.exitTime.getTime());
+          }
+          trades.push({ ...base, ...result });
+        }
+      }
+
+      if ((index + 1) % PROGRESS_EVERY === 0) {
+        backtest.progress.processed = index + 1;
+        backtest.updatedAt = new Date();
+        await backtest.save();
+        onProgress?.(backtest);
+      }
+    }
+
+    backtest.progress.processed = messages.length;
+    backtest.stats = summarizeTrades(trades);
+    backtest.trades = trades.slice(-MAX_STORED_TRADES);
+    backtest.status = 'completed';
+    backtest.completedAt = new Date();
+
+    logger.info('Backtest completed', {
+      userId: backtest.userId,
+      channelId: backtest.channelId,
+      messages: messages.length,
+      signals: trades.length,
+    });
+  } catch (error) {
+    backtest.status = 'failed';
+    backtest.error = error.message;
+    logger.error('Backtest error', { userId: backtest.userId, channelId: backtest.channelId, error: error.message });
+  }
+
+  backtest.updatedAt = new Date();
+  await backtest.save();
+  return backtest;
+}
+
+export async function failBacktest(backtestId, error) {
+  await Backtest.updateOne(
+    { _id: backtestId, status: { $in: ['queued', 'running'] } },
+    { status: 'failed', error, updatedAt: new Date() }
+  );
+}
@@ -0,0 +1,280 @@
+// server/services/channelConfig.service.js
+import { Trade } from '../models/Trade.js';
+import { Account } from '../models/Account.js';
+import { PaperAccount } from '../models/PaperAccount.js';
+import { extractSignal } from './extractor.service.js';
+
+// Per-channel overrides of the global risk defaults. Stored on the Channel
+// document as `overrides`; anything unset falls back to the global value.
+//
+//   riskMode        'fixed' (fixedLotSize per trade) | 'percent' (riskPercent of balance)
+//   riskPercent     % of balance risked per trade
+//   fixedLotSize    lots per trade in fixed mode
+//   allowedSymbols  only copy these symbols (empty/unset = all)
+//   maxOpenTrades   open trades from this channel at once (unset = only MAX_OPEN_POSITIONS)
+//   accountIds      trading accounts to copy to (empty/unset = all)
+//   activeHours     { timezone, windows: [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }] }
+//   paperOnly       copy only to paper (simulated) accounts
+
+export const RISK_MODES = ['fixed', 'percent'];
+
+export const OVERRIDE_FIELDS = [
+  'riskMode',
+  'riskPercent',
+  'fixedLotSize',
+  'allowedSymbols',
+  'maxOpenTrades',
+  'accountIds',
+  'activeHours',
+  'paperOnly',
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Units per lot where the defaults in contractSize() are wrong: {"US30":1,"BTCUSD":1}
+const CONTRACT_SIZES = JSON.parse(process.env.CONTRACT_SIZES || '{}');
+// Open positions across all of a user's channels; channels can only lower it
+const MAX_OPEN_POSITIONS = parseInt(process.env.MAX_OPEN_POSITIONS) || 5;
+
+/* ================================
+   DEFAULTS
+================================ */
+
+export function getGlobalDefaults() {
+  return {
+    riskMode: process.env.RISK_MODE || 'fixed',
+    riskPercent: parseFloat(process.env.RISK_PERCENT_PER_TRADE) || 1,
+    fixedLotSize: parseFloat(process.env.FIXED_LOT_SIZE) || 0.01,
+    allowedSymbols: null,
+    maxOpenTrades: null,
+    accountIds: null,
+    activeHours: null,
+    paperOnly: false,
+  };
+}
+
+// Effective settings for signals from this channel
+export function resolveChannelSettings(channel, defaults = getGlobalDefaults()) {
+  const overrides = channel?.overrides || {};
+  const settings = { ...defaults };
+
+  OVERRIDE_FIELDS.forEach((field) => {
+    const value = overrides[field];
+    const empty = value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+    if (!empty) {
+      settings[field] = value;
+    }
+  });
+
+  return settings;
+}
+
+/* ================================
+   NORMALIZATION
+================================ */
+
+function normalizeSymbol(symbol) {
+  return String(symbol).replace(/[^a-z0-9]/gi, '').toUpperCase();
+}
+
+// Validated request body -> stored form. `null` clears an override.
+export function normalizeOverrides(input) {
+  const overrides = {};
+
+  OVERRIDE_FIELDS.forEach((field) => {
+    if (input[field] === undefined) return;
+
+    const value = input[field];
+    if (value === null) {
+      overrides[field] = null;
+      return;
+    }
+
+    switch (field) {
+      case 'allowedSymbols':
+        overrides[field] = [...new Set(value.map(normalizeSymbol).filter(Boolean))];
+        break;
+      case 'accountIds':
+        overrides[field] = [...new Set(value.map(String))];
+        break;
+      case 'activeHours':
+        overrides[field] = {
+          timezone: value.timezone || 'UTC',
+          windows: value.windows.map(({ days, start, end }) => ({
+            days: [...new Set(days.map(Number))].sort(),
+            start,
+            end,
+          })),
+        };
+        break;
+      default:
+        overrides[field] = value;
+    }
+  });
+
+  return overrides;
+}
+
+// Throws on an active-hours value that can't be evaluated
+export function assertValidActiveHours(activeHours) {
+  if (activeHours === null || activeHours === undefined) return true;
+
+  if (!Array.isArray(activeHours.windows) || activeHours.windows.length === 0) {
+    throw new Error('activeHours.windows must be a non-empty array');
+  }
+
+  // Throws RangeError for unknown zones
+  new Intl.DateTimeFormat('en-US', { timeZone: activeHours.timezone || 'UTC' });
+
+  activeHours.windows.forEach(({ days, start, end }) => {
+    if (!Array.isArray(days) || days.length === 0 || days.some((day) => !Number.isInteger(Number(day)) || day < 0 || day > 6)) {
+      throw new Error('activeHours window days must be 0 (Sunday) to 6');
+    }
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      throw new Error('activeHours window start/end must be HH:MM');
+    }
+  });
+
+  return true;
+}
+
+/* ================================
+   GATES
+================================ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+  };
+}
+
+const toMinutes = (time) => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3));
+
+// Windows may cross midnight ("22:00"-"02:00"); the part after midnight
+// belongs to the day the window started on
+export function isWithinActiveHours(activeHours, date = new Date()) {
+  if (!activeHours?.windows?.length) return true;
+
+  const { day, minutes } = localTime(date, activeHours.timezone || 'UTC');
+  const previousDay = (day + 6) % 7;
+
+  return activeHours.windows.some(({ days, start, end }) => {
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+
+    if (from <= to) {
+      return days.includes(day) && minutes >= from && minutes < to;
+    }
+
+    return (days.includes(day) && minutes >= from) || (days.includes(previousDay) && minutes < to);
+  });
+}
+
+export function isSymbolAllowed(settings, symbol) {
+  return !settings.allowedSymbols || !symbol || settings.allowedSymbols.includes(normalizeSymbol(symbol));
+}
+
+// Decide whether a new signal from this channel should be copied at all.
+// Returns the extracted signal and effective settings for processSignal.
+export async function evaluateChannelSignal(userId, channel, text, now = new Date()) {
+  const settings = resolveChannelSettings(channel);
+  const extraction = await extractSignal(channel, text);
+  const { signal } = extraction;
+  const result = (allowed, reason = null) => ({ allowed, reason, settings, signal, extraction });
+
+  // Not a trade signal - let processSignal decide what to do with it
+  if (!signal) {
+    return result(true);
+  }
+
+  if (!extraction.accepted) {
+    return result(false, 'lowConfidence');
+  }
+
+  if (!isWithinActiveHours(settings.activeHours, now)) {
+    return result(false, 'outsideActiveHours');
+  }
+
+  if (!isSymbolAllowed(settings, signal.symbol)) {
+    return result(false, 'symbolNotAllowed');
+  }
+
+  const openPositions = await Trade.countDocuments({ userId, status: 'open' });
+  if (openPositions >= MAX_OPEN_POSITIONS) {
+    return result(false, 'maxOpenPositions');
+  }
+
+  if (settings.maxOpenTrades) {
+    const openTrades = await Trade.countDocuments({ userId, channelId: channel.channelId, status: 'open' });
+    if (openTrades >= settings.maxOpenTrades) {
+      return result(false, 'maxOpenTrades');
+    }
+  }
+
+  return result(true);
+}
+
+/* ================================
+   ACCOUNTS AND SIZING
+================================ */
+
+// Trading accounts (live and paper) a signal from this channel should be copied to
+export function selectTargetAccounts(settings, accounts) {
+  let targets = accounts;
+  if (settings.paperOnly) {
+    targets = targets.filter((account) => account.type === 'paper');
+  }
+  if (settings.accountIds?.length) {
+    targets = targets.filter((account) => settings.accountIds.includes(account._id.toString()));
+  }
+  return targets;
+}
+
+export async function getTargetAccounts(userId, settings) {
+  const [live, paper] = await Promise.all([
+    Account.find({ userId, enabled: true }),
+    PaperAccount.find({ userId, enabled: true }),
+  ]);
+  return selectTargetAccounts(settings, [...live, ...paper]);
+}
+
+export function contractSize(symbol) {
+  if (CONTRACT_SIZES[symbol] !== undefined) return CONTRACT_SIZES[symbol];
+  if (symbol.startsWith('XAU')) return 100;
+  if (symbol.startsWith('XAG')) return 5000;
+  if (/^[A-Z]{6}$/.test(symbol)) return 100000;
+  return 1;
+}
+
+// Price a signal is expected to fill at: its entry, or the far edge of an
+// entry range (the more conservative risk). Null for market signals without one.
+export function signalEntryPrice(signal) {
+  if (Array.isArray(signal.entry)) return signal.entry[signal.direction === 'buy' ? 1 : 0];
+  return signal.entry ?? null;
+}
+
+// Total lots for a signal on an account with `balance`: fixedLotSize, or in
+// percent mode riskPercent of the balance lost if the stop is hit from
+// `entryPrice`. Falls back to fixedLotSize when that can't be worked out.
+export function calculateLotSize(settings, { balance, entryPrice, stopLoss, symbol }) {
+  if (settings.riskMode === 'percent' && balance > 0 && entryPrice && stopLoss) {
+    const riskPerLot = Math.abs(entryPrice - stopLoss) * contractSize(symbol);
+    if (riskPerLot > 0) {
+      return Math.max(0.01, Math.round((balance * (settings.riskPercent / 100)) / riskPerLot * 100) / 100);
+    }
+  }
+  return settings.fixedLotSize;
+}
@@ -0,0 +1,146 @@
+// server/services/device.service.js
+import maxmind from 'maxmind';
+import UAParser from 'ua-parser-js';
+import { logger } from '../utils/logger.js';
+
+// Who is on the other end of a request or socket: IP, parsed user agent
+// and an approximate location from an offline GeoIP (MaxMind .mmdb) file.
+// Without GEOIP_DB_PATH, or for private IPs, location is null.
+
+let geoReader = null;
+let geoReaderPromise = null;
+
+async function getGeoReader() {
+  const dbPath = process.env.GEOIP_DB_PATH;
+  if (!dbPath) return null;
+
+  if (!geoReaderPromise) {
+    geoReaderPromise = maxmind.open(dbPath)
+      .then((reader) => {
+        geoReader = reader;
+        logger.info('GeoIP database loaded', { path: dbPath });
+        return reader;
+      })
+      .catch((error) => {
+        // Don't retry on every request; log once and run without locations
+        logger.warn('GeoIP database unavailable', { path: dbPath, error: error.message });
+        return null;
+      });
+  }
+
+  return geoReader || geoReaderPromise;
+}
+
+/* ================================
+   PARSING
+================================ */
+
+export function parseUserAgent(userAgent) {
+  const { browser, os, device } = new UAParser(userAgent || '').getResult();
+
+  return {
+    browser: browser.name || null,
+    browserVersion: browser.version || null,
+    os: os.name || null,
+    osVersion: os.version || null,
+    // ua-parser leaves type empty for desktops
+    type: device.type || (os.name ? 'desktop' : 'unknown'),
+    vendor: device.vendor || null,
+    model: device.model || null,
+  };
+}
+
+export async function lookupLocation(ip) {
+  if (!ip || !maxmind.validate(ip)) return null;
+
+  try {
+    const reader = await getGeoReader();
+    const result = reader?.get(ip);
+    if (!result) return null;
+
+    return {
+      city: result.city?.names?.en || null,
+      region: result.subdivisions?.[0]?.names?.en || null,
+      country: result.country?.names?.en || null,
+      countryCode: result.country?.iso_code || null,
+    };
+  } catch (error) {
+    logger.error('GeoIP lookup error', { ip, error: error.message });
+    return null;
+  }
+}
+
+/* ================================
+   CLIENT INFO
+================================ */
+
+// Strip the IPv4-mapped IPv6 prefix Node reports ("::ffff:1.2.3.4")
+function normalizeIp(ip) {
+  return ip?.startsWith('::ffff:') ? ip.slice(7) : ip || null;
+}
+
+// Same rule as Express's numeric 'trust proxy': skip TRUST_PROXY - 1
+// entries from the right of X-Forwarded-For
+function forwardedIp(header) {
+  const hops = parseInt(process.env.TRUST_PROXY) || 0;
+  if (!header || hops < 1) return null;
+
+  const chain = header.split(',').map((part) => part.trim());
+  return chain[Math.max(chain.length - hops, 0)] || null;
+}
+
+// `source` is an Express request or a socket (including a routed RemoteSocket)
+export function getClientAddress(source) {
+  if (!source) {
+    return { ip: null, userAgent: null };
+  }
+
+  // Sockets don't go through Express, so apply TRUST_PROXY by hand
+  if (source.handshake) {
+    const headers = source.handshake.headers || {};
+    return {
+      ip: normalizeIp(forwardedIp(headers['x-forwarded-for']) || source.handshake.address),
+      userAgent: headers['user-agent'] || null,
+    };
+  }
+
+  return {
+    ip: normalizeIp(source.ip),
+    userAgent: source.get?.('user-agent') || null,
+  };
+}
+
+export async function getClientInfo(source) {
+  const { ip, userAgent } = getClientAddress(source);
+
+  return {
+    ip,
+    userAgent,
+    device: parseUserAgent(userAgent),
+    location: await lookupLocation(ip),
+  };
+}
+
+/* ================================
+   DISPLAY
+================================ */
+
+// "Chrome 120 on Windows 10"
+export function formatDevice(device) {
+  if (!device?.browser) return 'Unknown browser';
+
+  const browser = [device.browser, device.browserVersion?.split('.')[0]].filter(Boolean).join(' ');
+  const os = [device.os, device.osVersion].filter(Boolean).join(' ');
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+// "Lagos, Nigeria", or null when unknown
+export function formatLocation(location) {
+  if (!location) return null;
+
+  const parts = [location.city, location.region, location.country]
+    .filter((part, index, all) => part && all.indexOf(part) === index);
+
+  return parts.length ? parts.join(', ') : null;
+}
@@ -0,0 +1,176 @@
+// server/services/dialog.service.js
+import { Api } from 'telegram/tl';
+import { helpers } from 'telegram';
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+
+// Channel browser for the subscribe UI. Fetching every dialog is slow for
+// accounts in hundreds of chats, so the full list (and each forum's topic
+// list) is cached in Redis per linked account and paged/searched from there.
+
+const CACHE_SECONDS = parseInt(process.env.TELEGRAM_DIALOG_CACHE_SECONDS) || 300;
+const TOPICS_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 100;
+
+const dialogsKey = (identityId) => `telegram:dialogs:${identityId}`;
+const topicsKey = (identityId, channelId) => `telegram:topics:${identityId}:${channelId}`;
+
+async function cached(key, refresh, load) {
+  if (!refresh) {
+    const hit = await redisClient.get(key);
+    if (hit) return JSON.parse(hit);
+  }
+
+  const value = await load();
+  await redisClient.set(key, JSON.stringify(value), { EX: CACHE_SECONDS });
+  return value;
+}
+
+/* ================================
+   PAGING
+================================ */
+
+// Case-insensitive match on the given fields, then one page of results
+export function searchAndPaginate(items, { search, page, limit, fields }) {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+  const term = String(search || '').trim().toLowerCase();
+
+  const matches = term
+    ? items.filter((item) => fields.some((field) => item[field]?.toLowerCase().includes(term)))
+    : items;
+
+  const start = (pageNumber - 1) * pageSize;
+
+  return {
+    items: matches.slice(start, start + pageSize),
+    page: pageNumber,
+    limit: pageSize,
+    total: matches.length,
+    hasMore: start + pageSize < matches.length,
+  };
+}
+
+/* ================================
+   DIALOGS
+================================ */
+
+// Every channel and group the account is in, sorted by title
+export function listDialogs(identityId, client, { refresh = false } = {}) {
+  return cached(dialogsKey(identityId), refresh, async () => {
+    const channels = [];
+
+    // No limit: iterates every dialog page, not just the first 100
+    for await (const dialog of client.iterDialogs({})) {
+      if (!dialog.isChannel && !dialog.isGroup) continue;
+
+      channels.push({
+        id: dialog.id.toString(),
+        title: dialog.title,
+        username: dialog.entity.username || null,
+        isChannel: dialog.isChannel,
+        isGroup: dialog.isGroup,
+        isForum: Boolean(dialog.entity.forum),
+        participantsCount: dialog.entity.participantsCount || 0,
+      });
+    }
+
+    logger.info('Dialogs fetched', { identityId, count: channels.length });
+    return channels.sort((a, b) => a.title.localeCompare(b.title));
+  });
+}
+
+/* ================================
+   FORUM TOPICS
+================================ */
+
+async function getChannelEntity(client, channelId) {
+  const peerId = helpers.returnBigInt(channelId);
+
+  try {
+    return await client.getInputEntity(peerId);
+  } catch (error) {
+    // Entity not in this client's cache yet (dialogs were served from Redis)
+    await client.getDialogs({});
+    return client.getInputEntity(peerId);
+  }
+}
+
+// Topics of a forum supergroup. "General" (ID 1) is where messages without
+// a topic land.
+export function listForumTopics(identityId, client, channelId, { refresh = false } = {}) {
+  return cached(topicsKey(identityId, channelId), refresh, async () => {
+    const channel = await getChannelEntity(client, channelId);
+    const topics = [];
+
+    let offsetDate = 0;
+    let offsetId = 0;
+    let offsetTopic = 0;
+
+    for (;;) {
+      const result = await client.invoke(new Api.channels.GetForumTopics({
+        channel,
+        offsetDate,
+        offsetId,
+        offsetTopic,
+        limit: TOPICS_PAGE_SIZE,
+      }));
+
+      const page = result.topics.filter((topic) => topic instanceof Api.ForumTopic);
+      topics.push(...page.map((topic) => ({
+        id: topic.id,
+        title: topic.title,
+        closed: Boolean(topic.closed),
+      })));
+
+      if (result.topics.length < TOPICS_PAGE_SIZE || page.length === 0) break;
+
+      const last = page[page.length - 1];
+      const lastMessage = result.messages.find((message) => message.id === last.topMessage);
+      offsetDate = lastMessage?.date || last.date;
+      offsetId = last.topMessage;
+      offsetTopic = last.id;
+    }
+
+    return topics;
+  });
+}
+
+// A message's forum topic and the message it replies to, if any. Messages
+// in a topic "reply" to the topic's root, which isn't a real reply. Outside
+// forums topicId is meaningless and only topic subscriptions look at it.
+export function getThreadInfo(message) {
+  const replyTo = message.replyTo;
+
+  if (!replyTo?.forumTopic) {
+    return { topicId: 1, replyToMsgId: replyTo?.replyToMsgId || null };
+  }
+
+  return replyTo.replyToTopId
+    ? { topicId: replyTo.replyToTopId, replyToMsgId: replyTo.replyToMsgId }
+    : { topicId: replyTo.replyToMsgId, replyToMsgId: null };
+}
+
+/* ================================
+   MESSAGE HISTORY
+================================ */
+
+// The last `limit` messages of a subscribed chat (or forum topic), oldest first
+export async function fetchChannelHistory(client, channel, limit) {
+  const entity = await getChannelEntity(client, channel.channelId);
+  const topicId = channel.topicId || null;
+
+  const messages = [];
+  // Topic threads can be fetched directly; "General" has no thread to ask for
+  const options = topicId > 1 ? { limit, replyTo: topicId } : { limit };
+  for await (const message of client.iterMessages(entity, options)) {
+    if (topicId === 1 && getThreadInfo(message).topicId !== 1) continue;
+    messages.push(message);
+  }
+
+  return messages.reverse();
+}
+
+export async function clearDialogCache(identityId) {
+  await redisClient.del(dialogsKey(identityId));
+}
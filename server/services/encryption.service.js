@@ -0,0 +1,174 @@
+// server/services/encryption.service.js
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { DataKey } from '../models/DataKey.js';
+
+// Envelope encryption for secrets stored in MongoDB (Telegram sessions,
+// broker credentials). Each user gets a random data key; the data key is
+// stored wrapped by a master key from ENCRYPTION_KEYS. Rotating the master
+// key only means re-wrapping data keys, not re-encrypting every secret.
+//
+//   ENCRYPTION_KEYS=1:<base64 32 bytes>,2:<base64 32 bytes>
+//   ENCRYPTION_ACTIVE_KEY_VERSION=2
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:1:';
+
+const dataKeyCache = new Map(); // userId -> Buffer
+
+/* ================================
+   MASTER KEYS
+================================ */
+
+function loadMasterKeys() {
+  const keys = new Map();
+
+  (process.env.ENCRYPTION_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [version, encoded] = entry.split(':');
+      const key = Buffer.from(encoded || '', 'base64');
+
+      if (!version || key.length !== 32) {
+        throw new Error(`Invalid master key entry for version "${version}"`);
+      }
+
+      keys.set(version, key);
+    });
+
+  return keys;
+}
+
+function getActiveVersion() {
+  return process.env.ENCRYPTION_ACTIVE_KEY_VERSION;
+}
+
+function getMasterKey(version) {
+  const key = loadMasterKeys().get(version);
+  if (!key) {
+    throw new Error(`Master key version ${version} is not configured`);
+  }
+  return key;
+}
+
+// Called from startServer - refuse to run without a usable active key
+export function assertEncryptionConfigured() {
+  const keys = loadMasterKeys();
+  const active = getActiveVersion();
+
+  if (keys.size === 0) {
+    throw new Error('ENCRYPTION_KEYS is not set');
+  }
+
+  if (!active || !keys.has(active)) {
+    throw new Error(`ENCRYPTION_ACTIVE_KEY_VERSION "${active}" has no matching key`);
+  }
+}
+
+/* ================================
+   LOW-LEVEL AES-GCM
+================================ */
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [iv, tag, ciphertext].map((b) => b.toString('base64')).join(':');
+}
+
+function unseal(key, sealed, aad) {
+  const [iv, tag, ciphertext] = sealed.split(':').map((part) => Buffer.from(part, 'base64'));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/* ================================
+   DATA KEYS
+================================ */
+
+async function getDataKey(userId) {
+  const cacheKey = userId.toString();
+  const cached = dataKeyCache.get(cacheKey);
+  if (cached) return cached;
+
+  let record = await DataKey.findOne({ userId });
+
+  if (!record) {
+    const version = getActiveVersion();
+    const dataKey = crypto.randomBytes(32);
+
+    try {
+      record = await DataKey.create({
+        userId,
+        keyVersion: version,
+        wrappedKey: seal(getMasterKey(version), dataKey, cacheKey),
+      });
+    } catch (error) {
+      // Another worker created it first
+      if (error.code !== 11000) throw error;
+      record = await DataKey.findOne({ userId });
+    }
+  }
+
+  const dataKey = unseal(getMasterKey(record.keyVersion), record.wrappedKey, cacheKey);
+  dataKeyCache.set(cacheKey, dataKey);
+
+  return dataKey;
+}
+
+// Re-wrap a user's data key under the active master key
+export async function rotateDataKey(userId) {
+  const record = await DataKey.findOne({ userId });
+  const active = getActiveVersion();
+
+  if (!record || record.keyVersion === active) {
+    return false;
+  }
+
+  const dataKey = unseal(getMasterKey(record.keyVersion), record.wrappedKey, userId.toString());
+
+  record.wrappedKey = seal(getMasterKey(active), dataKey, userId.toString());
+  record.keyVersion = active;
+  record.rotatedAt = new Date();
+  await record.save();
+
+  return true;
+}
+
+/* ================================
+   PUBLIC API
+================================ */
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+export async function encryptForUser(userId, plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const dataKey = await getDataKey(userId);
+  return PREFIX + seal(dataKey, Buffer.from(String(plaintext), 'utf8'), userId.toString());
+}
+
+export async function decryptForUser(userId, value) {
+  if (value === null || value === undefined) return value;
+
+  // Written before encryption was introduced; the migration converts these
+  if (!isEncrypted(value)) {
+    logger.warn('Read unencrypted secret', { userId });
+    return value;
+  }
+
+  const dataKey = await getDataKey(userId);
+  return unseal(dataKey, value.slice(PREFIX.length), userId.toString()).toString('utf8');
+}
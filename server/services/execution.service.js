@@ -0,0 +1,127 @@
+// server/services/execution.service.js
+import { logger } from '../utils/logger.js';
+import { processSignal } from './signal.service.js';
+import { getTargetAccounts, calculateLotSize, signalEntryPrice } from './channelConfig.service.js';
+import { isPaperAccount, openSignal, applyActions, applyAmendment } from './paperBroker.service.js';
+
+// Turns an accepted signal into orders: which of the user's accounts it is
+// copied to (the channel's accountIds override) and how many lots on each
+// (its riskMode / riskPercent / fixedLotSize overrides). Paper accounts go
+// to the paper broker, live ones to processSignal, and follow-ups and
+// amendments reach each trade through the same broker that opened it.
+
+/* ================================
+   NEW SIGNALS
+================================ */
+
+export function planOrders(settings, signal, accounts) {
+  const entryPrice = signalEntryPrice(signal);
+
+  return accounts.map((account) => ({
+    account,
+    volume: calculateLotSize(settings, {
+      balance: account.balance,
+      entryPrice,
+      stopLoss: signal.stopLoss,
+      symbol: signal.symbol,
+    }),
+  }));
+}
+
+// Returns the accounts the signal was copied to, or null when the channel
+// targets none
+export async function executeSignal(userId, channel, text, notifier, options) {
+  const { settings, signal, messageId } = options;
+
+  // Not a trade signal - processSignal decides what to do with it, as before
+  if (!signal) {
+    await processSignal(userId, channel, text, notifier, options);
+    return [];
+  }
+
+  const accounts = await getTargetAccounts(userId, settings);
+  if (accounts.length === 0) {
+    logger.info('Signal skipped', { userId, channelId: channel.channelId, reason: 'noTargetAccounts' });
+    notifier.emit('signal:skipped', {
+      channelId: channel.channelId,
+      topicId: channel.topicId || null,
+      messageId,
+      reason: 'noTargetAccounts',
+      confidence: options.confidence ?? null,
+    });
+    return null;
+  }
+
+  const paper = accounts.filter(isPaperAccount);
+  const live = accounts.filter((account) => !isPaperAccount(account));
+
+  // The paper broker sizes each leg from the fill price itself
+  for (const account of paper) {
+    try {
+      await openSignal(userId, account, channel, signal, settings, { messageId });
+    } catch (error) {
+      logger.error('Paper signal error', { userId, accountId: account._id, messageId, error: error.message });
+      notifier.emit('trade:error', {
+        accountId: account._id,
+        channelId: channel.channelId,
+        messageId,
+        error: error.message,
+      });
+    }
+  }
+
+  if (live.length > 0) {
+    const orders = planOrders(settings, signal, live);
+    await processSignal(userId, channel, text, notifier, {
+      ...options,
+      orders: orders.map(({ account, volume }) => ({ accountId: account._id, volume })),
+    });
+  }
+
+  logger.info('Signal orders placed', {
+    userId,
+    channelId: channel.channelId,
+    messageId,
+    liveAccounts: live.length,
+    paperAccounts: paper.length,
+    riskMode: settings.riskMode,
+  });
+
+  return accounts;
+}
+
+/* ================================
+   FOLLOW-UPS / AMENDMENTS
+================================ */
+
+// Actions from planFollowUp() for `trades`, split between the paper broker
+// and processSignal by the trade each one targets
+export async function executeFollowUp(userId, channel, text, notifier, { messageId, command, actions, trades }) {
+  const paperPositions = new Set(trades.filter((trade) => trade.paper).map((trade) => trade.positionId));
+
+  const paperActions = actions.filter((action) => paperPositions.has(action.positionId));
+  const liveActions = actions.filter((action) => !paperPositions.has(action.positionId));
+
+  if (paperActions.length > 0) {
+    await applyActions(userId, paperActions);
+  }
+
+  if (liveActions.length > 0) {
+    await processSignal(userId, channel, text, notifier, {
+      action: 'followUp',
+      messageId,
+      command,
+      actions: liveActions,
+    });
+  }
+}
+
+// An edited signal ('modify' / 'cancel') or a deleted one ('cancel')
+export async function executeAmendment(userId, channel, text, notifier, { action, messageId, changes }) {
+  const paperTrades = await applyAmendment(userId, channel, messageId, action, changes);
+  if (paperTrades > 0) {
+    logger.info('Paper trades amended', { userId, channelId: channel.channelId, messageId, action, trades: paperTrades });
+  }
+
+  await processSignal(userId, channel, text, notifier, { action, messageId, changes });
+}
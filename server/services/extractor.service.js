@@ -0,0 +1,124 @@
+// server/services/extractor.service.js
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+import { rulesExtractor } from './extractors/rules.extractor.js';
+import { llmExtractor } from './extractors/llm.extractor.js';
+
+// Signal extraction backends. Each implements
+//
+//   { name, cacheable, cacheKey?, extract(text, { channel }) -> { signal, confidence } }
+//
+// where `signal` is null for messages that aren't trade signals. SIGNAL_EXTRACTORS
+// lists the backends to try in order ("rules,llm" only calls the model when the
+// rules aren't confident); the first result at or above MIN_SIGNAL_CONFIDENCE wins.
+
+const EXTRACTORS = {
+  [rulesExtractor.name]: rulesExtractor,
+  [llmExtractor.name]: llmExtractor,
+};
+
+// 0 is a valid setting (accept every parse), so only a missing/invalid value falls back
+const parsedMinConfidence = parseFloat(process.env.MIN_SIGNAL_CONFIDENCE);
+const MIN_SIGNAL_CONFIDENCE = Number.isFinite(parsedMinConfidence) ? parsedMinConfidence : 0.5;
+const CACHE_TTL_SECONDS = parseInt(process.env.EXTRACTOR_CACHE_SECONDS) || 3600;
+
+const inFlight = new Map(); // cache key -> Promise
+
+export function getExtractorChain() {
+  const names = (process.env.SIGNAL_EXTRACTORS || 'rules').split(',').map((name) => name.trim()).filter(Boolean);
+
+  const chain = names.map((name) => {
+    if (!EXTRACTORS[name]) {
+      logger.warn('Unknown signal extractor', { name });
+    }
+    return EXTRACTORS[name];
+  }).filter(Boolean);
+
+  return chain.length ? chain : [rulesExtractor];
+}
+
+/* ================================
+   CACHE
+================================ */
+
+function cacheKey(extractor, text) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${extractor.cacheKey || ''}\n${text.trim()}`)
+    .digest('hex');
+  return `signal:extract:${extractor.name}:${hash}`;
+}
+
+async function readCache(key) {
+  try {
+    const cached = await redisClient.get(key);
+    return cached ? JSON.parse(cached) : null;
+  } catch (error) {
+    logger.warn('Extractor cache read error', { error: error.message });
+    return null;
+  }
+}
+
+async function writeCache(key, result) {
+  try {
+    await redisClient.set(key, JSON.stringify(result), { EX: CACHE_TTL_SECONDS });
+  } catch (error) {
+    logger.warn('Extractor cache write error', { error: error.message });
+  }
+}
+
+// Identical messages (the same channel post seen by many users, reposts)
+// only reach a cacheable backend once
+async function runCached(extractor, text, context) {
+  if (!extractor.cacheable) {
+    return extractor.extract(text, context);
+  }
+
+  const key = cacheKey(extractor, text);
+  const cached = await readCache(key);
+  if (cached) return cached;
+
+  if (!inFlight.has(key)) {
+    inFlight.set(key, extractor.extract(text, context)
+      .then(async (result) => {
+        await writeCache(key, result);
+        return result;
+      })
+      .finally(() => inFlight.delete(key)));
+  }
+
+  return inFlight.get(key);
+}
+
+/* ================================
+   EXTRACT
+================================ */
+
+// Returns { signal, confidence, extractor, accepted }. `accepted` is false when
+// no backend reached MIN_SIGNAL_CONFIDENCE; the best result is still returned.
+export async function extractSignal(channel, text) {
+  let best = { signal: null, confidence: 0, extractor: null };
+
+  for (const extractor of getExtractorChain()) {
+    try {
+      const result = await runCached(extractor, text, { channel });
+      const candidate = { ...result, extractor: extractor.name };
+
+      if (candidate.signal && candidate.confidence >= MIN_SIGNAL_CONFIDENCE) {
+        return { ...candidate, accepted: true };
+      }
+      if (candidate.signal && (!best.signal || candidate.confidence > best.confidence)) {
+        best = candidate;
+      }
+    } catch (error) {
+      logger.error('Signal extractor error', {
+        extractor: extractor.name,
+        channelId: channel?.channelId,
+        error: error.message,
+      });
+    }
+  }
+
+  return { ...best, accepted: false };
+}
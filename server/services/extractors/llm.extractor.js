@@ -0,0 +1,196 @@
+// server/services/extractors/llm.extractor.js
+import fetch from 'node-fetch';
+import { logger } from '../../utils/logger.js';
+
+// Any OpenAI-compatible /chat/completions endpoint: a local model server
+// (Ollama, llama.cpp, vLLM, LM Studio) or a hosted API such as DeepSeek.
+
+const LLM_BASE_URL = (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const LLM_API_KEY = process.env.LLM_API_KEY || process.env.DEEPSEEK_API_KEY || '';
+const LLM_MODEL = process.env.LLM_MODEL || 'llama3.1';
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 20000;
+// json_schema | json_object | none - depends on what the server supports
+const LLM_RESPONSE_FORMAT = process.env.LLM_RESPONSE_FORMAT || 'json_object';
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+// The only shape accepted back from the model; anything else is rejected
+export const EXTRACTION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['isSignal', 'confidence', 'symbol', 'direction', 'orderType', 'entry', 'stopLoss', 'takeProfits'],
+  properties: {
+    isSignal: { type: 'boolean' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    symbol: { type: ['string', 'null'], pattern: '^[A-Z0-9]{2,12}$' },
+    direction: { type: ['string', 'null'], enum: ['buy', 'sell', null] },
+    orderType: { type: ['string', 'null'], enum: ['market', 'limit', 'stop', null] },
+    entry: {
+      type: ['number', 'array', 'null'],
+      minimum: 0,
+      items: { type: 'number', minimum: 0 },
+      minItems: 2,
+      maxItems: 2,
+    },
+    stopLoss: { type: ['number', 'null'], minimum: 0 },
+    takeProfits: { type: 'array', items: { type: 'number', minimum: 0 }, maxItems: 10 },
+  },
+};
+
+const SYSTEM_PROMPT = `You extract forex/CFD trading signals from Telegram messages.
+Reply with a single JSON object and nothing else, with exactly these keys:
+isSignal (boolean), confidence (0-1), symbol (uppercase, no separators, e.g. "XAUUSD", or null),
+direction ("buy" | "sell" | null), orderType ("market" | "limit" | "stop" | null),
+entry (number, [low, high] for a range, or null for market), stopLoss (number or null),
+takeProfits (array of numbers, possibly empty).
+Use "XAUUSD" for gold. If the message is not a new trade signal (news, results,
+updates about an earlier trade), set isSignal to false and the rest to null/[].`;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Subset of JSON Schema used by EXTRACTION_SCHEMA; returns a list of errors
+export function checkSchema(schema, value, path = '$') {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+
+  if (types.length && !types.includes(actual) && !(actual === 'number' && types.includes('integer'))) {
+    return [`${path} must be ${types.join(' or ')}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(String).join(', ')}`);
+  }
+
+  if (actual === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path} must be finite`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (actual === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} has an invalid format`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs ${schema.minItems}+ items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} allows ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...checkSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        errors.push(...checkSchema(properties[key], value[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+function responseFormat() {
+  if (LLM_RESPONSE_FORMAT === 'json_schema') {
+    return { type: 'json_schema', json_schema: { name: 'signal', strict: true, schema: EXTRACTION_SCHEMA } };
+  }
+  if (LLM_RESPONSE_FORMAT === 'json_object') {
+    return { type: 'json_object' };
+  }
+  return undefined;
+}
+
+// Models sometimes wrap JSON in a code fence even when asked not to
+function parseJson(content) {
+  const trimmed = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  return JSON.parse(trimmed);
+}
+
+async function complete(text) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${LLM_BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(LLM_API_KEY && { Authorization: `Bearer ${LLM_API_KEY}` }),
+      },
+      body: JSON.stringify({
+        model: LLM_MODEL,
+        temperature: 0,
+        response_format: responseFormat(),
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: text.slice(0, MAX_MESSAGE_LENGTH) },
+        ],
+      }),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM request failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    const content = body.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('LLM response had no message content');
+    }
+    return content;
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error('LLM request timed out');
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export const llmExtractor = {
+  name: 'llm',
+  cacheable: true,
+  cacheKey: `${LLM_BASE_URL}|${LLM_MODEL}`,
+
+  async extract(text) {
+    const content = await complete(text);
+
+    let output;
+    try {
+      output = parseJson(content);
+    } catch {
+      throw new Error('LLM returned invalid JSON');
+    }
+
+    const errors = checkSchema(EXTRACTION_SCHEMA, output);
+    if (errors.length) {
+      logger.warn('LLM output failed schema check', { model: LLM_MODEL, errors: errors.slice(0, 5) });
+      throw new Error('LLM output failed schema check');
+    }
+
+    const { isSignal, confidence, ...signal } = output;
+    if (!isSignal || !signal.symbol || !signal.direction) {
+      return { signal: null, confidence };
+    }
+
+    return {
+      signal: {
+        ...signal,
+        orderType: signal.orderType || 'market',
+        entry: Array.isArray(signal.entry) ? [...signal.entry].sort((a, b) => a - b) : signal.entry,
+      },
+      confidence,
+    };
+  },
+};
@@ -0,0 +1,40 @@
+// server/services/extractors/rules.extractor.js
+import { parseChannelSignal } from '../template.service.js';
+
+// Channel templates, then the generic parser. Confidence reflects how much of
+// a tradable signal was found: a user template matching is a strong signal,
+// a generic parse without SL/TP less so.
+
+// A bare symbol + direction ("XAUUSD BUY NOW") is a valid market signal and
+// was always copied, so it scores exactly the default MIN_SIGNAL_CONFIDENCE.
+const BARE_SIGNAL_SCORE = 0.5;
+
+function scoreSignal(signal) {
+  if (typeof signal.confidence === 'number') return signal.confidence;
+  if (signal.template) return 0.9;
+
+  let score = BARE_SIGNAL_SCORE;
+  if (signal.stopLoss) score += 0.2;
+  if (signal.takeProfits?.length) score += 0.2;
+  if (signal.entry) score += 0.1;
+  return Math.min(score, 1);
+}
+
+export const rulesExtractor = {
+  name: 'rules',
+  cacheable: false,
+
+  async extract(text, { channel }) {
+    const parsed = parseChannelSignal(channel, text);
+    if (!parsed) {
+      return { signal: null, confidence: 0 };
+    }
+
+    const { confidence, template, ...signal } = parsed;
+    return {
+      signal,
+      confidence: scoreSignal(parsed),
+      template: template || null,
+    };
+  },
+};
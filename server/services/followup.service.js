@@ -0,0 +1,184 @@
+// server/services/followup.service.js
+import { logger } from '../utils/logger.js';
+import { SignalMessage } from '../models/SignalMessage.js';
+import { Trade } from '../models/Trade.js';
+import { executeFollowUp } from './execution.service.js';
+
+/* ================================
+   COMMAND PARSING
+================================ */
+
+// Order matters: more specific patterns first
+const COMMAND_PATTERNS = [
+  {
+    type: 'tpHit',
+    pattern: /\btp\s*(\d)\s*(?:hit|reached|done|smashed)\b/i,
+    build: (m) => ({ level: parseInt(m[1]) }),
+  },
+  {
+    type: 'breakeven',
+    pattern: /\b(?:(?:move|set|put)\s+)?sl\s+(?:to\s+)?(?:be|breakeven|break\s*even|entry)\b|\bbreak\s*even\b|\bset\s+be\b/i,
+    build: () => ({}),
+  },
+  {
+    type: 'partialClose',
+    pattern: /\bclose\s+(half|\d{1,2}\s*%)/i,
+    build: (m) => ({
+      fraction: m[1].toLowerCase() === 'half' ? 0.5 : parseInt(m[1]) / 100,
+    }),
+  },
+  {
+    type: 'modify',
+    // "TP2: 2340" names the level before the price
+    pattern: /\b(?:(?:move|new|change)\s+)?(sl|tp)(?:\s*(\d)(?![\d.]))?\s*(?:to|at|@|:)?\s*(\d+(?:\.\d+)?)\b/i,
+    build: (m) => (m[1].toLowerCase() === 'sl'
+      ? { stopLoss: parseFloat(m[3]) }
+      : { takeProfit: parseFloat(m[3]), ...(m[2] && { level: parseInt(m[2]) }) }),
+  },
+  {
+    type: 'close',
+    pattern: /^\s*(?:close(?:\s+(?:all|now|it|trade|position))?|exit(?:\s+now)?)\s*[!.]*\s*$/i,
+    build: () => ({}),
+  },
+];
+
+// Turn a short reply ("close half", "move SL to BE", "TP1 hit") into a command
+export function parseFollowUpCommand(text) {
+  if (!text) return null;
+
+  for (const { type, pattern, build } of COMMAND_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return { type, ...build(match) };
+    }
+  }
+
+  return null;
+}
+
+/* ================================
+   PLANNING
+================================ */
+
+// Work out the per-position actions for a command
+export function planFollowUp(command, trades) {
+  switch (command.type) {
+    case 'close':
+      return trades.map((t) => ({ positionId: t.positionId, action: 'close' }));
+
+    case 'partialClose':
+      // Positions too small to split are left alone rather than closed in full
+      return trades.flatMap((t) => {
+        const volume = roundVolume(t.volume * command.fraction);
+        return volume > 0 && volume < t.volume
+          ? [{ positionId: t.positionId, action: 'partialClose', volume }]
+          : [];
+      });
+
+    case 'breakeven':
+      return trades.map((t) => ({
+        positionId: t.positionId,
+        action: 'modify',
+        stopLoss: t.openPrice,
+      }));
+
+    case 'modify':
+      // A numbered TP only moves that leg
+      return trades
+        .filter((t) => command.level === undefined || t.tpLevel === command.level)
+        .map((t) => ({
+          positionId: t.positionId,
+          action: 'modify',
+          ...(command.stopLoss !== undefined && { stopLoss: command.stopLoss }),
+          ...(command.takeProfit !== undefined && { takeProfit: command.takeProfit }),
+        }));
+
+    case 'tpHit':
+      // Close the leg for that TP (if still open) and protect the rest at entry
+      return trades.map((t) => (t.tpLevel === command.level
+        ? { positionId: t.positionId, action: 'close' }
+        : { positionId: t.positionId, action: 'modify', stopLoss: t.openPrice }));
+
+    default:
+      return [];
+  }
+}
+
+/* ================================
+   HANDLE FOLLOW-UP
+================================ */
+
+// Returns true when the reply was handled as a follow-up command
+export async function handleFollowUp(userId, channel, replyToMsgId, text, notifier) {
+  const command = parseFollowUpCommand(text);
+  if (!command) return false;
+
+  const original = await SignalMessage.findOne({
+    userId,
+    channelId: channel.channelId,
+    messageId: replyToMsgId,
+  });
+
+  if (!original || original.status === 'retracted') {
+    logger.info('Follow-up references unknown signal', {
+      userId,
+      channelId: channel.channelId,
+      replyToMsgId,
+    });
+    return false;
+  }
+
+  const trades = await Trade.find({
+    userId,
+    channelId: channel.channelId,
+    messageId: replyToMsgId,
+    status: 'open',
+  });
+
+  if (trades.length === 0) {
+    logger.info('Follow-up has no open trades', { userId, channel: channel.title, replyToMsgId, command: command.type });
+    return true;
+  }
+
+  const actions = planFollowUp(command, trades);
+
+  if (actions.length === 0) {
+    logger.info('Follow-up matched no positions', { userId, channel: channel.title, replyToMsgId, command: command.type });
+    return true;
+  }
+
+  await executeFollowUp(userId, channel, text, notifier, {
+    messageId: replyToMsgId,
+    command,
+    actions,
+    trades,
+  });
+
+  notifier.emit('signal:followUp', {
+    channelId: channel.channelId,
+    channelTitle: channel.title,
+    messageId: replyToMsgId,
+    command,
+    positions: actions.map((a) => a.positionId),
+    message: text,
+    timestamp: new Date(),
+  });
+
+  logger.info('Follow-up applied', {
+    userId,
+    channel: channel.title,
+    replyToMsgId,
+    command: command.type,
+    positionCount: actions.length,
+  });
+
+  return true;
+}
+
+/* ================================
+   UTILITY FUNCTIONS
+================================ */
+
+function roundVolume(volume) {
+  return Math.round(volume * 100) / 100;
+}
@@ -0,0 +1,158 @@
+// server/services/lease.service.js
+import os from 'os';
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+
+// Each user's TelegramClient lives on exactly one worker. Ownership is a
+// Redis key holding the worker ID with a TTL that the owner keeps renewing;
+// if the worker dies the key expires and the next event claims it.
+
+export const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}:${process.pid}`;
+
+const LEASE_TTL_MS = parseInt(process.env.TELEGRAM_LEASE_TTL_MS) || 30000;
+const leaseKey = (userId) => `telegram:lease:${userId}`;
+
+const ownedUsers = new Set();
+const lostHandlers = [];
+let renewTimer = null;
+
+/* ================================
+   LUA SCRIPTS
+================================ */
+
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const TAKEOVER_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+  return 1
+end
+return 0`;
+
+/* ================================
+   LEASE OPERATIONS
+================================ */
+
+// Claim the lease if free; returns the worker ID that owns it afterwards
+export async function claimLease(userId) {
+  const key = leaseKey(userId);
+
+  const acquired = await redisClient.set(key, WORKER_ID, { NX: true, PX: LEASE_TTL_MS });
+  if (acquired) {
+    ownedUsers.add(userId);
+    logger.info('Telegram lease acquired', { userId, workerId: WORKER_ID });
+    return WORKER_ID;
+  }
+
+  const owner = await redisClient.get(key);
+
+  if (owner === WORKER_ID) {
+    ownedUsers.add(userId);
+    return WORKER_ID;
+  }
+
+  // Key expired between SET and GET - try again once
+  if (!owner) {
+    const retried = await redisClient.set(key, WORKER_ID, { NX: true, PX: LEASE_TTL_MS });
+    if (retried) {
+      ownedUsers.add(userId);
+      return WORKER_ID;
+    }
+    return redisClient.get(key);
+  }
+
+  return owner;
+}
+
+// Take over a lease from a worker that no longer answers
+export async function takeoverLease(userId, deadOwner) {
+  const taken = await redisClient.eval(TAKEOVER_SCRIPT, {
+    keys: [leaseKey(userId)],
+    arguments: [deadOwner, WORKER_ID, String(LEASE_TTL_MS)],
+  });
+
+  if (taken) {
+    ownedUsers.add(userId);
+    logger.warn('Telegram lease taken over', { userId, from: deadOwner, workerId: WORKER_ID });
+    return true;
+  }
+
+  return false;
+}
+
+export async function releaseLease(userId) {
+  ownedUsers.delete(userId);
+
+  try {
+    await redisClient.eval(RELEASE_SCRIPT, {
+      keys: [leaseKey(userId)],
+      arguments: [WORKER_ID],
+    });
+  } catch (error) {
+    logger.error('Release lease error', { userId, error: error.message });
+  }
+}
+
+export async function getLeaseOwner(userId) {
+  return redisClient.get(leaseKey(userId));
+}
+
+export function ownsLease(userId) {
+  return ownedUsers.has(userId);
+}
+
+// Register a callback for when this worker loses a user's lease
+export function onLeaseLost(handler) {
+  lostHandlers.push(handler);
+}
+
+/* ================================
+   RENEWAL
+================================ */
+
+async function renewLeases() {
+  for (const userId of ownedUsers) {
+    try {
+      const renewed = await redisClient.eval(RENEW_SCRIPT, {
+        keys: [leaseKey(userId)],
+        arguments: [WORKER_ID, String(LEASE_TTL_MS)],
+      });
+
+      if (!renewed) {
+        ownedUsers.delete(userId);
+        logger.warn('Telegram lease lost', { userId, workerId: WORKER_ID });
+
+        for (const handler of lostHandlers) {
+          await handler(userId);
+        }
+      }
+    } catch (error) {
+      logger.error('Renew lease error', { userId, error: error.message });
+    }
+  }
+}
+
+export function startLeaseKeeper() {
+  if (renewTimer) return;
+
+  renewTimer = setInterval(renewLeases, Math.floor(LEASE_TTL_MS / 3));
+  logger.info('Lease keeper started', { workerId: WORKER_ID, ttl: LEASE_TTL_MS });
+}
+
+// Hand back every lease so other workers can pick users up immediately
+export async function releaseAllLeases() {
+  clearInterval(renewTimer);
+  renewTimer = null;
+
+  await Promise.all([...ownedUsers].map((userId) => releaseLease(userId)));
+}
@@ -0,0 +1,90 @@
+// server/services/loginGuard.service.js
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+
+// Per-email brute-force protection, independent of the per-IP rate limit.
+// After FREE_ATTEMPTS failures each further attempt has to wait
+// 2^n seconds; at LOCK_THRESHOLD the account is locked for LOCK_SECONDS.
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const LOCK_THRESHOLD = parseInt(process.env.LOGIN_LOCK_THRESHOLD) || 10;
+const LOCK_SECONDS = parseInt(process.env.LOGIN_LOCK_SECONDS) || 15 * 60;
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+
+const keys = (email) => ({
+  failures: `login:fail:${email}`,
+  backoff: `login:backoff:${email}`,
+  lock: `login:lock:${email}`,
+});
+
+function normalize(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/* ================================
+   CHECK
+================================ */
+
+// { allowed: true } or { allowed: false, locked, retryAfter (seconds) }
+export async function checkLoginAllowed(email) {
+  const { backoff, lock } = keys(normalize(email));
+
+  const lockTtl = await redisClient.ttl(lock);
+  if (lockTtl > 0) {
+    return { allowed: false, locked: true, retryAfter: lockTtl };
+  }
+
+  const backoffTtl = await redisClient.ttl(backoff);
+  if (backoffTtl > 0) {
+    return { allowed: false, locked: false, retryAfter: backoffTtl };
+  }
+
+  return { allowed: true };
+}
+
+/* ================================
+   RECORD
+================================ */
+
+// Returns { locked, lockedUntil } so the caller can notify the owner
+export async function recordFailedLogin(email, req) {
+  const normalized = normalize(email);
+  const { failures, backoff, lock } = keys(normalized);
+
+  const count = await redisClient.incr(failures);
+  if (count === 1) {
+    await redisClient.expire(failures, FAILURE_WINDOW_SECONDS);
+  }
+
+  if (count >= LOCK_THRESHOLD) {
+    await redisClient.set(lock, '1', { EX: LOCK_SECONDS });
+    await redisClient.del([failures, backoff]);
+
+    const lockedUntil = new Date(Date.now() + LOCK_SECONDS * 1000);
+
+    logger.warn('Account locked after failed logins', {
+      email: normalized,
+      attempts: count,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      lockedUntil: lockedUntil.toISOString(),
+    });
+
+    return { locked: true, lockedUntil };
+  }
+
+  if (count > FREE_ATTEMPTS) {
+    const delay = Math.min(2 ** (count - FREE_ATTEMPTS), MAX_BACKOFF_SECONDS);
+    await redisClient.set(backoff, '1', { EX: delay });
+  }
+
+  logger.info('Failed login attempt', { email: normalized, attempts: count, ip: req.ip });
+
+  return { locked: false };
+}
+
+export async function clearFailedLogins(email) {
+  const { failures, backoff } = keys(normalize(email));
+  await redisClient.del([failures, backoff]);
+}
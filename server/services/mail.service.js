@@ -0,0 +1,144 @@
+// server/services/mail.service.js
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { logger } from '../utils/logger.js';
+
+// MAIL_TRANSPORT picks where mail goes:
+//   smtp    - real delivery via SMTP_* settings
+//   file    - one JSON file per message in MAIL_FILE_DIR (local testing)
+//   console - logged through the app logger, links' tokens redacted (default)
+//
+// Production must use smtp; startServer refuses to run otherwise.
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+// Called from startServer - in production, mail has to actually be delivered
+export function assertMailConfigured() {
+  if (process.env.NODE_ENV !== 'production') return;
+
+  if (process.env.MAIL_TRANSPORT !== 'smtp') {
+    throw new Error('MAIL_TRANSPORT must be "smtp" in production');
+  }
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not set');
+  }
+}
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+}
+
+/* ================================
+   TRANSPORTS
+================================ */
+
+function createSmtpTransport() {
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    send: (message) => mailer.sendMail(message),
+  };
+}
+
+function createFileTransport() {
+  const dir = process.env.MAIL_FILE_DIR || './mail';
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9.@_-]/gi, '_')}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+    },
+  };
+}
+
+// Verification and reset links carry single-use tokens; keep them out of logs
+const redactTokens = (value) => value?.replace(/([?&]token=)[^&\s"'<]+/g, '$1[redacted]');
+
+function createConsoleTransport() {
+  return {
+    send: async (message) => {
+      logger.info('Mail (console transport)', {
+        ...message,
+        text: redactTokens(message.text),
+        html: redactTokens(message.html),
+      });
+    },
+  };
+}
+
+/* ================================
+   SEND
+================================ */
+
+export async function sendMail({ to, subject, text, html }) {
+  const message = {
+    from: process.env.MAIL_FROM || 'Signal Copier <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  };
+
+  await getTransport().send(message);
+  logger.info('Mail sent', { to, subject, transport: process.env.MAIL_TRANSPORT || 'console' });
+}
+
+/* ================================
+   TEMPLATES
+================================ */
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+export function sendVerificationEmail(user, token) {
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address to finish setting up your account:\n\n${link}\n\nThis link expires in 24 hours.`,
+  });
+}
+
+export function sendAccountLockedEmail(user, { ip, lockedUntil }) {
+  return sendMail({
+    to: user.email,
+    subject: 'Your account has been temporarily locked',
+    text: `Hi ${user.name},\n\nWe locked your account after repeated failed login attempts (last from IP ${ip}). It will unlock automatically at ${lockedUntil.toUTCString()}.\n\nIf this wasn't you, reset your password once the lock expires: ${clientUrl()}/forgot-password`,
+  });
+}
+
+export function sendPasswordResetEmail(user, token) {
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for this account. If that was you, use this link:\n\n${link}\n\nThis link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+  });
+}
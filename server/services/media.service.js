@@ -0,0 +1,128 @@
+// server/services/media.service.js
+import { logger } from '../utils/logger.js';
+import { SignalMessage } from '../models/SignalMessage.js';
+import { SignalImage } from '../models/SignalImage.js';
+import { OCR_ENABLED, recognizeImage } from './ocr.service.js';
+
+// Photo signals: download the image, OCR it and combine the result with the
+// caption so the normal parsing path sees one block of text.
+
+const OCR_MAX_IMAGE_BYTES = parseInt(process.env.OCR_MAX_IMAGE_BYTES) || 5 * 1024 * 1024;
+// 0 keeps images of copied signals forever
+const SIGNAL_IMAGE_RETENTION_DAYS = parseInt(process.env.SIGNAL_IMAGE_RETENTION_DAYS ?? '30', 10) || 0;
+
+/* ================================
+   MEDIA DETECTION
+================================ */
+
+// Photos and image documents (screenshots sent "as file"); null otherwise
+export function getImageMedia(message) {
+  if (message.photo) {
+    return { mimeType: 'image/jpeg', size: null };
+  }
+
+  const document = message.document;
+  if (document?.mimeType?.startsWith('image/')) {
+    return { mimeType: document.mimeType, size: Number(document.size) };
+  }
+
+  return null;
+}
+
+/* ================================
+   TEXT EXTRACTION
+================================ */
+
+function combineText(caption, ocrText) {
+  return [caption, ocrText].filter(Boolean).join('\n\n');
+}
+
+// Text to parse for a channel message: the caption plus any OCR'd image
+// text. Edits reuse the stored OCR result (only the caption can change).
+export async function extractMessageText(userId, channel, client, message, { isEdit = false } = {}) {
+  const caption = message.message || '';
+  const media = getImageMedia(message);
+
+  if (!media || !OCR_ENABLED) {
+    return { text: caption, image: null };
+  }
+
+  if (isEdit) {
+    const record = await SignalMessage.findOne({
+      userId,
+      channelId: channel.channelId,
+      messageId: message.id,
+    }).select('ocrText');
+
+    if (record?.ocrText !== undefined && record?.ocrText !== null) {
+      return { text: combineText(caption, record.ocrText), image: null, ocrText: record.ocrText };
+    }
+  }
+
+  if (media.size && media.size > OCR_MAX_IMAGE_BYTES) {
+    logger.warn('Signal image too large for OCR', { userId, channelId: channel.channelId, size: media.size });
+    return { text: caption, image: null };
+  }
+
+  try {
+    const data = await client.downloadMedia(message, {});
+    if (!data?.length || data.length > OCR_MAX_IMAGE_BYTES) {
+      return { text: caption, image: null };
+    }
+
+    const result = await recognizeImage(data);
+    const ocrText = result?.text || '';
+
+    logger.info('Signal image OCR complete', {
+      userId,
+      channelId: channel.channelId,
+      messageId: message.id,
+      characters: ocrText.length,
+      confidence: result?.confidence,
+    });
+
+    return {
+      text: combineText(caption, ocrText),
+      ocrText,
+      image: { data, mimeType: media.mimeType, size: data.length },
+    };
+  } catch (error) {
+    logger.error('Signal image OCR error', {
+      userId,
+      channelId: channel.channelId,
+      messageId: message.id,
+      error: error.message,
+    });
+    return { text: caption, image: null };
+  }
+}
+
+/* ================================
+   STORAGE
+================================ */
+
+// Only called for messages that parsed as a signal; other photos aren't kept
+export async function saveSignalImage(userId, channel, messageId, image) {
+  try {
+    const createdAt = new Date();
+    const expiresAt = SIGNAL_IMAGE_RETENTION_DAYS
+      ? new Date(createdAt.getTime() + SIGNAL_IMAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      : null;
+
+    const saved = await SignalImage.findOneAndUpdate(
+      { userId, channelId: channel.channelId, messageId },
+      { $setOnInsert: { ...image, createdAt, expiresAt } },
+      { upsert: true, new: true, projection: { data: 0 } }
+    );
+
+    await SignalMessage.updateOne(
+      { userId, channelId: channel.channelId, messageId },
+      { imageId: saved._id }
+    );
+
+    return saved._id;
+  } catch (error) {
+    logger.error('Save signal image error', { userId, channelId: channel.channelId, messageId, error: error.message });
+    return null;
+  }
+}
@@ -0,0 +1,100 @@
+// server/services/ocr.service.js
+import { createWorker } from 'tesseract.js';
+import { logger } from '../utils/logger.js';
+
+// One tesseract.js worker per process. It runs in a worker thread, so the
+// event loop stays free, but jobs are queued one at a time to keep CPU and
+// memory bounded on small instances.
+
+export const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+const OCR_MAX_QUEUE = parseInt(process.env.OCR_MAX_QUEUE) || 20;
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS) || 30000;
+// Directory or URL with <lang>.traineddata; tesseract.js downloads from its CDN otherwise
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || null;
+
+let workerPromise = null;
+let queue = Promise.resolve();
+let queued = 0;
+
+/* ================================
+   WORKER
+================================ */
+
+function getWorker() {
+  if (!workerPromise) {
+    const languages = OCR_LANGUAGES.split(',').map((lang) => lang.trim()).join('+');
+    workerPromise = createWorker(languages, 1, OCR_LANG_PATH ? { langPath: OCR_LANG_PATH } : {})
+      .then((worker) => {
+        logger.info('OCR worker started', { languages: OCR_LANGUAGES });
+        return worker;
+      })
+      .catch((error) => {
+        workerPromise = null;
+        throw error;
+      });
+  }
+  return workerPromise;
+}
+
+async function resetWorker() {
+  const pending = workerPromise;
+  workerPromise = null;
+  if (!pending) return;
+
+  try {
+    const worker = await pending;
+    await worker.terminate();
+  } catch (error) {
+    logger.warn('OCR worker terminate error', { error: error.message });
+  }
+}
+
+/* ================================
+   RECOGNIZE
+================================ */
+
+async function runRecognition(image) {
+  const worker = await getWorker();
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('OCR timed out')), OCR_TIMEOUT_MS);
+  });
+
+  try {
+    const { data } = await Promise.race([worker.recognize(image), timeout]);
+    return {
+      text: data.text.replace(/[ \t]+\n/g, '\n').trim(),
+      confidence: data.confidence,
+    };
+  } catch (error) {
+    // A stuck worker would block every later job
+    if (error.message === 'OCR timed out') await resetWorker();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Extract text from an image buffer. Returns null when OCR is disabled or
+// the queue is full; throws if recognition fails.
+export function recognizeImage(image) {
+  if (!OCR_ENABLED) return Promise.resolve(null);
+
+  if (queued >= OCR_MAX_QUEUE) {
+    logger.warn('OCR queue full, skipping image', { queued });
+    return Promise.resolve(null);
+  }
+
+  queued += 1;
+  const job = queue.then(() => runRecognition(image));
+  queue = job.catch(() => {}).finally(() => {
+    queued -= 1;
+  });
+  return job;
+}
+
+export async function stopOcr() {
+  await resetWorker();
+}
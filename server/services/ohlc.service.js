@@ -0,0 +1,162 @@
+// server/services/ohlc.service.js
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { logger } from '../utils/logger.js';
+
+// Historical candles for backtests, one CSV per symbol in OHLC_DATA_DIR
+// (XAUUSD.csv, EURUSD.csv...). A header row names the columns:
+//
+//   time,open,high,low,close[,volume]          ISO time or unix seconds/ms
+//   date,time,open,high,low,close[,volume]     MT4/MT5 export ("2024.01.02", "13:05")
+//
+// Times are UTC. Any timeframe works; M1 gives the most accurate fills.
+
+const OHLC_DATA_DIR = process.env.OHLC_DATA_DIR || './data/ohlc';
+const MAX_CACHED_SYMBOLS = parseInt(process.env.OHLC_CACHE_SYMBOLS) || 5;
+
+const cache = new Map(); // symbol -> Promise<candles | null>
+
+/* ================================
+   PARSING
+================================ */
+
+function parseTime(value, timeOfDay) {
+  if (timeOfDay !== undefined) {
+    value = `${value.replace(/\./g, '-')}T${timeOfDay.length === 5 ? `${timeOfDay}:00` : timeOfDay}Z`;
+  }
+
+  if (/^\d+$/.test(value)) {
+    const number = parseInt(value);
+    // Seconds until the year 2286
+    return number < 1e10 ? number * 1000 : number;
+  }
+
+  const normalized = value.replace(/^(\d{4})\.(\d{2})\.(\d{2})/, '$1-$2-$3').replace(' ', 'T');
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(normalized);
+  return Date.parse(hasZone ? normalized : `${normalized}Z`);
+}
+
+function columnIndexes(header) {
+  const names = header.map((name) => name.trim().toLowerCase().replace(/[<>"]/g, ''));
+  const find = (...candidates) => names.findIndex((name) => candidates.includes(name));
+
+  const columns = {
+    time: find('time', 'timestamp', 'datetime', 'date_time'),
+    date: find('date', 'day'),
+    open: find('open', 'o'),
+    high: find('high', 'h'),
+    low: find('low', 'l'),
+    close: find('close', 'c'),
+  };
+
+  if (columns.open < 0 || columns.high < 0 || columns.low < 0 || columns.close < 0) {
+    throw new Error('CSV header must name open, high, low and close columns');
+  }
+  if (columns.time < 0 && columns.date < 0) {
+    throw new Error('CSV header must name a time or date column');
+  }
+
+  return columns;
+}
+
+async function readCandles(file) {
+  const rows = { time: [], open: [], high: [], low: [], close: [] };
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+  let columns = null;
+  let delimiter = ',';
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    if (!columns) {
+      delimiter = line.includes(';') ? ';' : line.includes('\t') ? '\t' : ',';
+      columns = columnIndexes(line.split(delimiter));
+      continue;
+    }
+
+    const cells = line.split(delimiter);
+    const time = columns.date >= 0 && columns.time >= 0
+      ? parseTime(cells[columns.date].trim(), cells[columns.time].trim())
+      : parseTime(cells[columns.time >= 0 ? columns.time : columns.date].trim());
+
+    const candle = {
+      open: parseFloat(cells[columns.open]),
+      high: parseFloat(cells[columns.high]),
+      low: parseFloat(cells[columns.low]),
+      close: parseFloat(cells[columns.close]),
+    };
+
+    if (!Number.isFinite(time) || !Object.values(candle).every(Number.isFinite)) continue;
+
+    rows.time.push(time);
+    rows.open.push(candle.open);
+    rows.high.push(candle.high);
+    rows.low.push(candle.low);
+    rows.close.push(candle.close);
+  }
+
+  // Sort by time once; exports aren't always in order
+  const order = rows.time.map((_, index) => index).sort((a, b) => rows.time[a] - rows.time[b]);
+  const pick = (values) => Float64Array.from(order, (index) => values[index]);
+
+  return {
+    time: pick(rows.time),
+    open: pick(rows.open),
+    high: pick(rows.high),
+    low: pick(rows.low),
+    close: pick(rows.close),
+    length: order.length,
+  };
+}
+
+/* ================================
+   LOOKUP
+================================ */
+
+function symbolFile(symbol) {
+  const safe = String(symbol).replace(/[^a-z0-9]/gi, '').toUpperCase();
+  return safe ? path.join(OHLC_DATA_DIR, `${safe}.csv`) : null;
+}
+
+// Candles for a symbol (kept in memory for the last few symbols used), or
+// null when there is no data file
+export function loadCandles(symbol) {
+  const file = symbolFile(symbol);
+  if (!file) return Promise.resolve(null);
+
+  if (!cache.has(file)) {
+    if (cache.size >= MAX_CACHED_SYMBOLS) {
+      cache.delete(cache.keys().next().value);
+    }
+
+    cache.set(file, fs.promises.access(file)
+      .then(async () => {
+        const candles = await readCandles(file);
+        logger.info('OHLC data loaded', { symbol, candles: candles.length });
+        return candles;
+      })
+      .catch((error) => {
+        cache.delete(file);
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }));
+  }
+
+  return cache.get(file);
+}
+
+// Index of the first candle opening at or after `time` (ms), or -1
+export function findCandleIndex(candles, time) {
+  let low = 0;
+  let high = candles.length;
+
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (candles.time[middle] < time) low = middle + 1;
+    else high = middle;
+  }
+
+  return low < candles.length ? low : -1;
+}
@@ -0,0 +1,412 @@
+// server/services/paperBroker.service.js
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { Trade } from '../models/Trade.js';
+import { PaperAccount } from '../models/PaperAccount.js';
+import { publishToUser } from './userEvents.service.js';
+import { getQuote, getRange } from './priceFeed.service.js';
+import { contractSize, calculateLotSize } from './channelConfig.service.js';
+
+// Simulated broker for paper accounts. execution.service.js sends signals for
+// accounts where isPaperAccount() is true here instead of to processSignal,
+// and follow-ups and amendments of paper trades to applyActions() /
+// applyAmendment(). Positions are Trade documents (paper: true) and emit the
+// same trade:opened / trade:updated / trade:closed events as live trades.
+//
+// SL, TP and pending entries of every open paper trade are checked every
+// PAPER_TICK_MS against the prices replayed since that trade's last check
+// (`checkedUntil`), whether or not the user's Telegram clients are running.
+// Every worker ticks; claiming a trade's interval and each status change
+// are conditional updates, so a trade is checked and settled only once.
+
+const PAPER_TICK_MS = parseInt(process.env.PAPER_TICK_MS) || 1000;
+const PENDING_EXPIRY_HOURS = parseFloat(process.env.PAPER_PENDING_EXPIRY_HOURS) || 24;
+
+let tickTimer = null;
+let ticking = false;
+
+/* ================================
+   HELPERS
+================================ */
+
+export function isPaperAccount(account) {
+  return account?.type === 'paper';
+}
+
+const roundLots = (volume) => Math.round(volume * 100) / 100;
+const roundVolume = (volume) => Math.max(0.01, roundLots(volume));
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+function profitFor(trade, price, volume = trade.volume) {
+  const direction = trade.direction === 'buy' ? 1 : -1;
+  return roundMoney((price - trade.openPrice) * direction * volume * contractSize(trade.symbol));
+}
+
+// Buys open at the ask and close at the bid; sells the other way round
+const openPrice = (direction, quote) => (direction === 'buy' ? quote.ask : quote.bid);
+const closePrice = (direction, quote) => (direction === 'buy' ? quote.bid : quote.ask);
+
+function formatTrade(trade) {
+  return {
+    tradeId: trade._id,
+    positionId: trade.positionId,
+    accountId: trade.accountId,
+    paper: true,
+    channelId: trade.channelId,
+    messageId: trade.messageId,
+    symbol: trade.symbol,
+    direction: trade.direction,
+    volume: trade.volume,
+    openPrice: trade.openPrice,
+    stopLoss: trade.stopLoss,
+    takeProfit: trade.takeProfit,
+    tpLevel: trade.tpLevel,
+    status: trade.status,
+    closePrice: trade.closePrice ?? null,
+    profit: trade.profit ?? 0,
+    closeReason: trade.closeReason ?? null,
+    openedAt: trade.openedAt,
+    closedAt: trade.closedAt ?? null,
+  };
+}
+
+async function realize(trade, amount) {
+  if (!amount) return;
+  await PaperAccount.updateOne(
+    { _id: trade.accountId },
+    { $inc: { balance: amount, realizedProfit: amount } }
+  );
+}
+
+/* ================================
+   SIZING
+================================ */
+
+// The channel's lot size on the paper balance, split over up to `legs` TP
+// legs in whole 0.01 lots. The legs never add up to more than the total: a
+// size too small to split uses fewer legs, and the remainder goes on the last.
+export function calculateVolume(account, signal, settings, entryPrice, legs) {
+  const total = roundVolume(calculateLotSize(settings, {
+    balance: account.balance,
+    entryPrice,
+    stopLoss: signal.stopLoss,
+    symbol: signal.symbol,
+  }));
+
+  const units = Math.round(total * 100);
+  const count = Math.min(legs, units);
+  const base = Math.floor(units / count);
+
+  return Array.from({ length: count }, (_, index) => (
+    (index === count - 1 ? units - base * (count - 1) : base) / 100
+  ));
+}
+
+/* ================================
+   ORDERS
+================================ */
+
+// Open one position per take profit (one without TPs; only the first TPs
+// when the size can't cover them all). Limit/stop signals wait as pending
+// trades until the feed touches the entry.
+export async function openSignal(userId, account, channel, signal, settings, { messageId }) {
+  const quote = await getQuote(signal.symbol);
+  if (!quote) {
+    throw new Error(`No price data for ${signal.symbol}`);
+  }
+
+  const pending = ['limit', 'stop'].includes(signal.orderType) && signal.entry;
+  const entry = Array.isArray(signal.entry)
+    ? signal.entry[signal.direction === 'buy' ? 1 : 0]
+    : signal.entry;
+  const price = pending ? entry : openPrice(signal.direction, quote);
+
+  const takeProfits = signal.takeProfits?.length ? signal.takeProfits : [null];
+  const volumes = calculateVolume(account, signal, settings, price, takeProfits.length);
+  const now = new Date();
+
+  const trades = await Trade.insertMany(volumes.map((volume, index) => ({
+    userId,
+    accountId: account._id,
+    paper: true,
+    channelId: channel.channelId,
+    messageId,
+    positionId: `paper-${crypto.randomUUID()}`,
+    symbol: signal.symbol,
+    direction: signal.direction,
+    orderType: pending ? signal.orderType : 'market',
+    volume,
+    openPrice: price,
+    stopLoss: signal.stopLoss ?? null,
+    takeProfit: takeProfits[index],
+    tpLevel: index + 1,
+    status: pending ? 'pending' : 'open',
+    openedAt: pending ? null : now,
+    expiresAt: pending ? new Date(now.getTime() + PENDING_EXPIRY_HOURS * 3600000) : null,
+    checkedUntil: now,
+    createdAt: now,
+  })));
+
+  if (!pending) {
+    trades.forEach((trade) => publishToUser(userId, 'trade:opened', formatTrade(trade)));
+  }
+
+  logger.info('Paper signal placed', {
+    userId,
+    accountId: account._id,
+    symbol: signal.symbol,
+    legs: trades.length,
+    pending: Boolean(pending),
+  });
+
+  return trades;
+}
+
+export async function modifyPosition(userId, positionId, { stopLoss, takeProfit, openPrice: entry }) {
+  const changes = {};
+  if (stopLoss !== undefined) changes.stopLoss = stopLoss;
+  if (takeProfit !== undefined) changes.takeProfit = takeProfit;
+
+  const trade = await Trade.findOne({ userId, positionId, paper: true, status: { $in: ['open', 'pending'] } });
+  if (!trade) return null;
+
+  // Only a pending order can still move its entry
+  if (entry !== undefined && trade.status === 'pending') changes.openPrice = entry;
+
+  Object.assign(trade, changes, { updatedAt: new Date() });
+  await trade.save();
+
+  publishToUser(userId, 'trade:updated', formatTrade(trade));
+  return trade;
+}
+
+// Close all or part of a position at the current price (pending orders are
+// cancelled). Each change only applies if the trade is still in the state it
+// was read in, so a position closed twice at once (tick and API, or two
+// workers) is settled and credited once; the loser gets null.
+export async function closePosition(userId, positionId, { volume, reason = 'manual', price } = {}) {
+  const trade = await Trade.findOne({ userId, positionId, paper: true, status: { $in: ['open', 'pending'] } });
+  if (!trade) return null;
+
+  if (trade.status === 'pending') {
+    const cancelled = await Trade.findOneAndUpdate(
+      { _id: trade._id, status: 'pending' },
+      { $set: { status: 'cancelled', closeReason: reason, profit: 0, closedAt: new Date() } },
+      { new: true }
+    );
+    if (cancelled) publishToUser(userId, 'trade:closed', formatTrade(cancelled));
+    return cancelled;
+  }
+
+  let exitPrice = price;
+  if (exitPrice === undefined) {
+    const quote = await getQuote(trade.symbol);
+    if (!quote) throw new Error(`No price data for ${trade.symbol}`);
+    exitPrice = closePrice(trade.direction, quote);
+  }
+
+  // The volume doubles as a version: a partial close in between changes it
+  const unchanged = { _id: trade._id, status: 'open', volume: trade.volume };
+
+  // Partial close: bank that part and keep the rest open. Anything that
+  // would leave less than the smallest lot closes the whole position.
+  const remaining = volume ? roundLots(trade.volume - volume) : 0;
+  if (remaining > 0) {
+    const partialProfit = profitFor(trade, exitPrice, volume);
+    const updated = await Trade.findOneAndUpdate(
+      unchanged,
+      { $set: { volume: remaining, profit: roundMoney((trade.profit || 0) + partialProfit), updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    await realize(trade, partialProfit);
+    publishToUser(userId, 'trade:updated', formatTrade(updated));
+    return updated;
+  }
+
+  const profit = profitFor(trade, exitPrice);
+  const closed = await Trade.findOneAndUpdate(
+    unchanged,
+    {
+      $set: {
+        status: 'closed',
+        closePrice: exitPrice,
+        profit: roundMoney((trade.profit || 0) + profit),
+        closeReason: reason,
+        closedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!closed) return null;
+
+  await realize(trade, profit);
+  publishToUser(userId, 'trade:closed', formatTrade(closed));
+  return closed;
+}
+
+/* ================================
+   FOLLOW-UPS / AMENDMENTS
+================================ */
+
+// Actions from planFollowUp(): close, partialClose or modify per position
+export async function applyActions(userId, actions) {
+  for (const action of actions) {
+    try {
+      if (action.action === 'close') {
+        await closePosition(userId, action.positionId, { reason: 'followUp' });
+      } else if (action.action === 'partialClose') {
+        await closePosition(userId, action.positionId, { volume: action.volume, reason: 'followUp' });
+      } else if (action.action === 'modify') {
+        await modifyPosition(userId, action.positionId, action);
+      }
+    } catch (error) {
+      logger.error('Paper follow-up error', { userId, positionId: action.positionId, error: error.message });
+    }
+  }
+}
+
+// An edited or deleted signal: cancel its trades or move their levels
+export async function applyAmendment(userId, channel, messageId, action, changes = {}) {
+  const trades = await Trade.find({
+    userId,
+    paper: true,
+    channelId: channel.channelId,
+    messageId,
+    status: { $in: ['open', 'pending'] },
+  });
+
+  for (const trade of trades) {
+    if (action === 'cancel') {
+      await closePosition(userId, trade.positionId, { reason: 'retracted' });
+      continue;
+    }
+
+    const update = {};
+    if (changes.stopLoss) update.stopLoss = changes.stopLoss.to;
+    if (changes.takeProfits) update.takeProfit = changes.takeProfits.to?.[trade.tpLevel - 1] ?? trade.takeProfit;
+    if (changes.entry) {
+      const entry = changes.entry.to;
+      update.openPrice = Array.isArray(entry) ? entry[trade.direction === 'buy' ? 1 : 0] : entry ?? undefined;
+    }
+    await modifyPosition(userId, trade.positionId, update);
+  }
+
+  return trades.length;
+}
+
+/* ================================
+   PRICE CHECKS
+================================ */
+
+function levelHit(trade, range) {
+  const isBuy = trade.direction === 'buy';
+
+  if (trade.status === 'pending') {
+    const price = trade.openPrice;
+    const touched = trade.orderType === 'limit'
+      ? (isBuy ? range.askLow <= price : range.bidHigh >= price)
+      : (isBuy ? range.askHigh >= price : range.bidLow <= price);
+    return touched ? { type: 'fill', price } : null;
+  }
+
+  // Both touched in one interval: assume the stop came first
+  const stopped = trade.stopLoss && (isBuy ? range.bidLow <= trade.stopLoss : range.askHigh >= trade.stopLoss);
+  if (stopped) return { type: 'stopLoss', price: trade.stopLoss };
+
+  const target = trade.takeProfit && (isBuy ? range.bidHigh >= trade.takeProfit : range.askLow <= trade.takeProfit);
+  if (target) return { type: 'takeProfit', price: trade.takeProfit };
+
+  return null;
+}
+
+async function checkTrade(trade, range, now) {
+  if (trade.status === 'pending' && trade.expiresAt && trade.expiresAt.getTime() <= now) {
+    await closePosition(trade.userId, trade.positionId, { reason: 'expired' });
+    return;
+  }
+
+  const hit = range && levelHit(trade, range);
+  if (!hit) return;
+
+  if (hit.type === 'fill') {
+    const filled = await Trade.findOneAndUpdate(
+      { _id: trade._id, status: 'pending' },
+      { $set: { status: 'open', openPrice: hit.price, openedAt: new Date(now) } },
+      { new: true }
+    );
+    if (filled) publishToUser(trade.userId, 'trade:opened', formatTrade(filled));
+    return;
+  }
+
+  await closePosition(trade.userId, trade.positionId, { reason: hit.type, price: hit.price });
+}
+
+// Where a trade's next check starts: its last check, or when it was placed
+// or filled if that's later
+function checkFrom(trade) {
+  const checkedUntil = trade.checkedUntil?.getTime() ?? 0;
+  const placedAt = (trade.openedAt || trade.createdAt)?.getTime() ?? 0;
+  return Math.max(checkedUntil, placedAt);
+}
+
+// Take the interval up to `now` for this worker; false if another worker
+// already checked the trade since it was read
+async function claimInterval(trade, now) {
+  const { modifiedCount } = await Trade.updateOne(
+    { _id: trade._id, checkedUntil: trade.checkedUntil ?? null },
+    { $set: { checkedUntil: new Date(now) } }
+  );
+  return modifiedCount > 0;
+}
+
+async function tick() {
+  // Each trade's next check picks up from its own checkedUntil
+  if (ticking) return;
+
+  ticking = true;
+  const now = Date.now();
+
+  try {
+    const trades = await Trade.find({ paper: true, status: { $in: ['open', 'pending'] } });
+
+    const ranges = new Map(); // symbol + start -> range
+    for (const trade of trades) {
+      try {
+        const start = checkFrom(trade);
+        if (start >= now || !(await claimInterval(trade, now))) continue;
+
+        const key = `${trade.symbol}:${start}`;
+        if (!ranges.has(key)) {
+          ranges.set(key, await getRange(trade.symbol, start, now));
+        }
+
+        // No new prices for this trade yet (expiry is still checked)
+        const range = ranges.get(key);
+        await checkTrade(trade, range, now);
+      } catch (error) {
+        logger.error('Paper position check error', { positionId: trade.positionId, error: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error('Paper broker tick error', { error: error.message });
+  } finally {
+    ticking = false;
+  }
+}
+
+/* ================================
+   LIFECYCLE
+================================ */
+
+export function startPaperBroker() {
+  if (tickTimer) return;
+  tickTimer = setInterval(tick, PAPER_TICK_MS);
+  logger.info('Paper broker started', { tickMs: PAPER_TICK_MS });
+}
+
+export function stopPaperBroker() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
@@ -0,0 +1,187 @@
+// server/services/priceFeed.service.js
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { logger } from '../utils/logger.js';
+import { loadCandles } from './ohlc.service.js';
+
+// Prices for paper trading, replayed from local files in OHLC_DATA_DIR:
+//
+//   <SYMBOL>.ticks.csv   time,bid,ask            (preferred when present)
+//   <SYMBOL>.csv         candles, as for backtests (bid; ask = bid + spread)
+//
+// The replay position is derived from the wall clock (PRICE_FEED_ANCHOR and
+// PRICE_FEED_SPEED), looping at the end of the file, so every worker sees
+// the same price at the same moment without sharing state.
+
+const OHLC_DATA_DIR = process.env.OHLC_DATA_DIR || './data/ohlc';
+const PRICE_FEED_SPEED = parseFloat(process.env.PRICE_FEED_SPEED) || 1;
+const PRICE_FEED_ANCHOR = Date.parse(process.env.PRICE_FEED_ANCHOR || '2024-01-01T00:00:00Z');
+// Spread added to candle data, in price units: {"XAUUSD":0.3,"EURUSD":0.0001}
+const PAPER_SPREADS = JSON.parse(process.env.PAPER_SPREADS || '{}');
+
+const MAX_RANGE_ROWS = 100000;
+
+const cache = new Map(); // symbol -> Promise<series | null>
+
+/* ================================
+   LOADING
+================================ */
+
+function normalizeSymbol(symbol) {
+  return String(symbol).replace(/[^a-z0-9]/gi, '').toUpperCase();
+}
+
+async function readTicks(file) {
+  const rows = { time: [], bid: [], ask: [] };
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+  let columns = null;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const cells = line.split(',').map((cell) => cell.trim());
+
+    if (!columns) {
+      const names = cells.map((cell) => cell.toLowerCase());
+      columns = { time: names.indexOf('time'), bid: names.indexOf('bid'), ask: names.indexOf('ask') };
+      if (columns.time < 0 || columns.bid < 0) {
+        throw new Error('Tick CSV header must name time and bid columns');
+      }
+      continue;
+    }
+
+    const raw = cells[columns.time];
+    const time = /^\d+$/.test(raw) ? (parseInt(raw) < 1e10 ? parseInt(raw) * 1000 : parseInt(raw)) : Date.parse(raw);
+    const bid = parseFloat(cells[columns.bid]);
+    const ask = columns.ask >= 0 ? parseFloat(cells[columns.ask]) : bid;
+    if (!Number.isFinite(time) || !Number.isFinite(bid) || !Number.isFinite(ask)) continue;
+
+    rows.time.push(time);
+    rows.bid.push(bid);
+    rows.ask.push(ask);
+  }
+
+  const bid = Float64Array.from(rows.bid);
+  return {
+    time: Float64Array.from(rows.time),
+    bidHigh: bid,
+    bidLow: bid,
+    bidClose: bid,
+    spread: Float64Array.from(rows.ask, (ask, index) => ask - rows.bid[index]),
+    length: rows.time.length,
+    candles: false,
+  };
+}
+
+function fromCandles(symbol, candles) {
+  const spread = PAPER_SPREADS[symbol] || 0;
+  return {
+    time: candles.time,
+    bidHigh: candles.high,
+    bidLow: candles.low,
+    bidClose: candles.close,
+    spread: new Float64Array(candles.length).fill(spread),
+    length: candles.length,
+    candles: true,
+  };
+}
+
+async function loadSeries(symbol) {
+  const tickFile = path.join(OHLC_DATA_DIR, `${symbol}.ticks.csv`);
+
+  try {
+    await fs.promises.access(tickFile);
+    const series = await readTicks(tickFile);
+    logger.info('Tick data loaded', { symbol, ticks: series.length });
+    return series.length ? series : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const candles = await loadCandles(symbol);
+  return candles?.length ? fromCandles(symbol, candles) : null;
+}
+
+function getSeries(symbol) {
+  const key = normalizeSymbol(symbol);
+  if (!cache.has(key)) {
+    cache.set(key, loadSeries(key).catch((error) => {
+      cache.delete(key);
+      logger.error('Price feed load error', { symbol: key, error: error.message });
+      return null;
+    }));
+  }
+  return cache.get(key);
+}
+
+/* ================================
+   REPLAY CLOCK
+================================ */
+
+function replayTime(series, wallTime) {
+  const start = series.time[0];
+  const span = series.time[series.length - 1] - start + 1;
+  const elapsed = ((wallTime - PRICE_FEED_ANCHOR) * PRICE_FEED_SPEED) % span;
+  return start + (elapsed < 0 ? elapsed + span : elapsed);
+}
+
+// Last row at or before `time`
+function rowAt(series, time) {
+  let low = 0;
+  let high = series.length - 1;
+
+  while (low < high) {
+    const middle = (low + high + 1) >>> 1;
+    if (series.time[middle] <= time) low = middle;
+    else high = middle - 1;
+  }
+
+  return low;
+}
+
+/* ================================
+   QUOTES
+================================ */
+
+export async function getQuote(symbol, wallTime = Date.now()) {
+  const series = await getSeries(symbol);
+  if (!series) return null;
+
+  const index = rowAt(series, replayTime(series, wallTime));
+  const bid = series.bidClose[index];
+  return { symbol: normalizeSymbol(symbol), bid, ask: bid + series.spread[index], time: new Date(series.time[index]) };
+}
+
+// Highest and lowest prices between two wall-clock moments, for checking
+// whether SL/TP/entry levels were touched in between. A candle's high and low
+// may come from before `fromWall`, so candle data only counts candles that
+// start after it; null when there are none yet.
+export async function getRange(symbol, fromWall, toWall) {
+  const series = await getSeries(symbol);
+  if (!series) return null;
+
+  let from = rowAt(series, replayTime(series, fromWall));
+  const to = rowAt(series, replayTime(series, toWall));
+
+  if (series.candles) {
+    if (from === to) return null;
+    from = (from + 1) % series.length;
+  }
+
+  // The replay looped back to the start of the file in between
+  const segments = to >= from ? [[from, to]] : [[from, series.length - 1], [0, to]];
+
+  const range = { bidHigh: -Infinity, bidLow: Infinity, askHigh: -Infinity, askLow: Infinity };
+  let scanned = 0;
+
+  for (const [first, last] of segments) {
+    for (let i = first; i <= last && scanned < MAX_RANGE_ROWS; i++, scanned++) {
+      range.bidHigh = Math.max(range.bidHigh, series.bidHigh[i]);
+      range.bidLow = Math.min(range.bidLow, series.bidLow[i]);
+      range.askHigh = Math.max(range.askHigh, series.bidHigh[i] + series.spread[i]);
+      range.askLow = Math.min(range.askLow, series.bidLow[i] + series.spread[i]);
+    }
+  }
+
+  return scanned > 0 ? range : null;
+}
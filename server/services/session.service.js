@@ -0,0 +1,120 @@
+// server/services/session.service.js
+import mongoose from 'mongoose';
+import { RefreshToken } from '../models/RefreshToken.js';
+import { TelegramIdentity } from '../models/TelegramIdentity.js';
+import { revokeSession } from './token.service.js';
+import { getLeaseOwner } from './lease.service.js';
+import { getClientInfo, formatDevice, formatLocation } from './device.service.js';
+import { getUserSockets, disconnectSession } from '../websocket/connection.js';
+
+// A user's sessions, assembled from three places:
+//   - login sessions: refresh token families still holding a live token
+//   - live sockets: dashboard connections on any worker, tied to the
+//     login session whose access token opened them
+//   - connected Telegram accounts
+
+/* ================================
+   LIST
+================================ */
+
+async function getLoginSessions(userId) {
+  return RefreshToken.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        expiresAt: { $gt: new Date() },
+      },
+    },
+    { $sort: { createdAt: 1 } },
+    {
+      // The newest token in a family is the live one and has the latest client info
+      $group: {
+        _id: '$family',
+        createdAt: { $first: '$createdAt' },
+        lastActiveAt: { $last: '$createdAt' },
+        live: { $sum: { $cond: [{ $eq: ['$revokedAt', null] }, 1, 0] } },
+        ip: { $last: '$ip' },
+        device: { $last: '$device' },
+        location: { $last: '$location' },
+      },
+    },
+    { $match: { live: { $gt: 0 } } },
+    { $sort: { lastActiveAt: -1 } },
+  ]);
+}
+
+// Sockets describe themselves on connect; parse the handshake for any
+// that haven't yet
+async function describeSocket(socket) {
+  if (socket.client) {
+    return { id: socket.id, connectedAt: socket.connectedAt, ...socket.client };
+  }
+
+  const { ip, device, location } = await getClientInfo(socket);
+
+  return {
+    id: socket.id,
+    connectedAt: socket.connectedAt,
+    ip,
+    deviceLabel: formatDevice(device),
+    deviceType: device.type,
+    location: formatLocation(location),
+  };
+}
+
+export async function listUserSessions(userId, currentSessionId) {
+  const [loginSessions, sockets, identities, telegramWorker] = await Promise.all([
+    getLoginSessions(userId),
+    getUserSockets(userId),
+    TelegramIdentity.find({ userId, connected: true }).select('-session'),
+    getLeaseOwner(userId),
+  ]);
+
+  const describedSockets = await Promise.all(
+    sockets.map(async (socket) => ({ sessionId: socket.sessionId, ...(await describeSocket(socket)) }))
+  );
+
+  const sessions = loginSessions.map((session) => ({
+    id: session._id,
+    current: session._id === currentSessionId,
+    createdAt: session.createdAt,
+    lastActiveAt: session.lastActiveAt,
+    ip: session.ip,
+    device: session.device,
+    deviceLabel: formatDevice(session.device),
+    location: formatLocation(session.location),
+    sockets: describedSockets
+      .filter((socket) => socket.sessionId === session._id)
+      .map(({ sessionId, ...socket }) => socket),
+  }));
+
+  return {
+    sessions,
+    telegram: identities.map((identity) => ({
+      id: identity._id,
+      phone: identity.phone,
+      username: identity.username,
+      connectedAt: identity.connectedAt,
+      // Listeners run wherever the user's lease is held
+      active: Boolean(telegramWorker),
+      ip: identity.loginClient?.ip || null,
+      deviceLabel: identity.loginClient ? formatDevice(identity.loginClient.device) : null,
+      location: formatLocation(identity.loginClient?.location),
+    })),
+  };
+}
+
+/* ================================
+   REVOKE
+================================ */
+
+// False if the session doesn't belong to this user
+export async function revokeUserSession(userId, sessionId) {
+  const owned = await RefreshToken.exists({ userId, family: sessionId });
+  if (!owned) return false;
+
+  await revokeSession(sessionId);
+  disconnectSession(sessionId);
+
+  return true;
+}
@@ -0,0 +1,108 @@
+// server/services/supervisor.service.js
+import { logger } from '../utils/logger.js';
+import { TelegramIdentity } from '../models/TelegramIdentity.js';
+import { WORKER_ID, claimLease } from './lease.service.js';
+import {
+  restoreClient,
+  hasActiveClient,
+  releaseIdleLease,
+  startChannelListeners,
+} from '../websocket/telegram.js';
+
+// Keeps every connected Telegram account's listener running whether or not
+// a browser is open. Runs once at boot and then sweeps periodically so
+// users whose worker died are picked up once their lease expires.
+
+const SWEEP_INTERVAL = parseInt(process.env.TELEGRAM_SUPERVISOR_INTERVAL_MS) || 60000;
+
+let sweepTimer = null;
+let sweeping = false;
+
+export async function startTelegramSupervisor(io) {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(() => rehydrateSessions(io), SWEEP_INTERVAL);
+  await rehydrateSessions(io);
+}
+
+export function stopTelegramSupervisor() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+/* ================================
+   REHYDRATION
+================================ */
+
+async function rehydrateSessions(io) {
+  // Previous sweep still reconnecting
+  if (sweeping) return;
+  sweeping = true;
+
+  try {
+    const identities = await TelegramIdentity.find({
+      connected: true,
+      session: { $ne: null },
+    }).select('_id userId telegramUserId session');
+
+    // The lease is per user, so claim it once for all of a user's accounts
+    const byUser = new Map();
+    for (const identity of identities) {
+      const userId = identity.userId.toString();
+      if (!byUser.has(userId)) byUser.set(userId, []);
+      byUser.get(userId).push(identity);
+    }
+
+    let restored = 0;
+
+    // One at a time so a restart doesn't open hundreds of MTProto connections at once
+    for (const [userId, userIdentities] of byUser) {
+      const missing = userIdentities.filter((identity) => !hasActiveClient(userId, identity._id));
+      if (missing.length === 0) continue;
+
+      const owner = await claimLease(userId);
+      if (owner !== WORKER_ID) continue;
+
+      for (const identity of missing) {
+        if (await rehydrateIdentity(io, userId, identity)) {
+          restored++;
+        }
+      }
+
+      releaseIdleLease(userId);
+    }
+
+    if (restored > 0) {
+      logger.info('Telegram sessions rehydrated', { workerId: WORKER_ID, restored, total: identities.length });
+    }
+  } catch (error) {
+    logger.error('Telegram supervisor sweep error', { error: error.message });
+  } finally {
+    sweeping = false;
+  }
+}
+
+async function rehydrateIdentity(io, userId, identity) {
+  const identityId = identity._id.toString();
+
+  try {
+    const client = await restoreClient(userId, identity);
+
+    if (!client) {
+      await TelegramIdentity.updateOne({ _id: identity._id }, {
+        connected: false,
+        session: null,
+      });
+      io.to(`user:${userId}`).emit('telegram:sessionExpired', { identityId });
+      logger.warn('Telegram session expired during rehydration', { userId, identityId });
+      return false;
+    }
+
+    await startChannelListeners(userId, identityId, client);
+    return true;
+  } catch (error) {
+    // Leave the session in place; a later sweep will try again
+    logger.error('Telegram rehydration error', { userId, identityId, error: error.message });
+    return false;
+  }
+}
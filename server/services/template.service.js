@@ -0,0 +1,209 @@
+// server/services/template.service.js
+import vm from 'vm';
+import { logger } from '../utils/logger.js';
+import { parseSignal } from './signal.service.js';
+
+// User-defined parsing templates, stored per channel as `parsingTemplates`
+// and tried in order before the generic parser:
+//
+//   { name, type: 'pattern' | 'regex', pattern, flags, symbolAliases, enabled }
+//
+// 'pattern' is a small DSL: literal text plus placeholders, with any run of
+// whitespace matching any whitespace and letters matching case-insensitively.
+//
+//   {symbol}     instrument ("XAUUSD", "EUR/USD", "Gold")
+//   {direction}  buy/sell/long/short, optionally followed by limit/stop
+//   {entry}      price or range ("2350", "2350-2355", "2350/2355")
+//   {sl}         stop loss price
+//   {tp}         one take profit; repeat for TP1, TP2...
+//   {tps}        several take profits separated by / , | or spaces
+//   {*}          skip any text
+//
+// 'regex' templates use named groups with the same meaning: symbol,
+// direction, orderType, entry, entryMin, entryMax, sl, tp, tp1..tp9, tps.
+
+export const TEMPLATE_TYPES = ['pattern', 'regex'];
+export const MAX_TEMPLATES_PER_CHANNEL = 10;
+export const MAX_PATTERN_LENGTH = 500;
+
+// User regexes run against every message; stop runaway backtracking
+const MATCH_TIMEOUT_MS = 50;
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('regex.exec(text)');
+
+const NUMBER = String.raw`\d+(?:[.,]\d+)?`;
+
+const PLACEHOLDERS = {
+  symbol: String.raw`(?<symbol>[A-Za-z]{2,10}(?:\/?[A-Za-z]{3})?\d*)`,
+  direction: String.raw`(?<direction>buy|sell|long|short)(?:\s+(?<orderType>limit|stop))?`,
+  entry: String.raw`(?<entryMin>${NUMBER})(?:\s*(?:-|–|\/|to)\s*(?<entryMax>${NUMBER}))?`,
+  sl: String.raw`(?<sl>${NUMBER})`,
+  tps: String.raw`(?<tps>${NUMBER}(?:\s*[\/,|]\s*${NUMBER}|\s+${NUMBER})*)`,
+  '*': String.raw`[\s\S]*?`,
+};
+
+const DIRECTIONS = { buy: 'buy', long: 'buy', sell: 'sell', short: 'sell' };
+
+/* ================================
+   COMPILE
+================================ */
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePattern(pattern) {
+  let tpCount = 0;
+  const parts = pattern.trim().split(/(\{[a-z*]+\})/i);
+
+  const source = parts.map((part) => {
+    const placeholder = part.match(/^\{([a-z*]+)\}$/i);
+    if (!placeholder) {
+      return part.split(/\s+/).map(escapeRegex).join(String.raw`\s+`);
+    }
+
+    const name = placeholder[1].toLowerCase();
+    if (name === 'tp') {
+      tpCount += 1;
+      if (tpCount > 9) throw new Error('At most 9 {tp} placeholders');
+      return `(?<tp${tpCount}>${NUMBER})`;
+    }
+    if (!PLACEHOLDERS[name]) {
+      throw new Error(`Unknown placeholder {${name}}`);
+    }
+    return PLACEHOLDERS[name];
+  }).join('');
+
+  return new RegExp(source, 'i');
+}
+
+// Throws with a user-facing message if the template can't be used
+export function compileTemplate(template) {
+  if (!template?.pattern || typeof template.pattern !== 'string') {
+    throw new Error('Template pattern is required');
+  }
+  if (template.pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Template pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  let regex;
+  if (template.type === 'regex') {
+    const flags = [...new Set(`${template.flags || ''}i`.replace(/[^imsu]/g, ''))].join('');
+    try {
+      regex = new RegExp(template.pattern, flags);
+    } catch (error) {
+      throw new Error(`Invalid regular expression: ${error.message}`);
+    }
+  } else {
+    regex = compilePattern(template.pattern);
+  }
+
+  // Can't build a trade without knowing what and which way
+  const groups = regex.source;
+  if (!groups.includes('(?<symbol>') || !groups.includes('(?<direction>')) {
+    throw new Error('Template must capture symbol and direction');
+  }
+
+  return regex;
+}
+
+/* ================================
+   EXTRACT
+================================ */
+
+function safeExec(regex, text) {
+  regex.lastIndex = 0;
+  matchContext.regex = regex;
+  matchContext.text = text;
+  try {
+    return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS });
+  } finally {
+    matchContext.regex = null;
+    matchContext.text = null;
+  }
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+function normalizeSymbol(symbol, aliases = {}) {
+  const key = symbol.replace(/[^a-z0-9]/gi, '').toUpperCase();
+  const alias = Object.entries(aliases).find(([name]) => name.replace(/[^a-z0-9]/gi, '').toUpperCase() === key);
+  return alias ? alias[1].replace(/[^a-z0-9]/gi, '').toUpperCase() : key;
+}
+
+// Named captures -> the signal shape the generic parser produces
+function buildSignal(groups, template) {
+  const direction = DIRECTIONS[groups.direction?.toLowerCase()];
+  if (!groups.symbol || !direction) return null;
+
+  const entryMin = toNumber(groups.entryMin ?? groups.entry);
+  const entryMax = toNumber(groups.entryMax);
+  const entry = entryMax !== null && entryMin !== null
+    ? [Math.min(entryMin, entryMax), Math.max(entryMin, entryMax)]
+    : entryMin;
+
+  const takeProfits = [];
+  Object.keys(groups)
+    .filter((name) => /^tp\d?$/.test(name) && groups[name])
+    .sort()
+    .forEach((name) => takeProfits.push(toNumber(groups[name])));
+  if (groups.tps) {
+    groups.tps.split(/[\s\/,|]+/).forEach((value) => takeProfits.push(toNumber(value)));
+  }
+
+  return {
+    symbol: normalizeSymbol(groups.symbol, template.symbolAliases),
+    direction,
+    orderType: groups.orderType?.toLowerCase() || 'market',
+    entry,
+    stopLoss: toNumber(groups.sl),
+    takeProfits: takeProfits.filter((value) => value !== null),
+    template: template.name || null,
+  };
+}
+
+// Run one template against a message; null if it doesn't match
+export function applyTemplate(template, text, regex = compileTemplate(template)) {
+  const match = safeExec(regex, text);
+  if (!match) return null;
+  return buildSignal(match.groups || {}, template);
+}
+
+/* ================================
+   CHANNEL PARSING
+================================ */
+
+const compiledTemplates = new Map(); // `${type}:${flags}:${pattern}` -> RegExp
+
+function getCompiled(template) {
+  const key = `${template.type}:${template.flags || ''}:${template.pattern}`;
+  if (!compiledTemplates.has(key)) {
+    if (compiledTemplates.size >= 1000) compiledTemplates.clear();
+    compiledTemplates.set(key, compileTemplate(template));
+  }
+  return compiledTemplates.get(key);
+}
+
+// The channel's templates first, in order, then the generic parser
+export function parseChannelSignal(channel, text) {
+  const templates = (channel?.parsingTemplates || []).filter((template) => template.enabled !== false);
+
+  for (const template of templates) {
+    try {
+      const signal = applyTemplate(template, text, getCompiled(template));
+      if (signal) return signal;
+    } catch (error) {
+      logger.warn('Parsing template failed', {
+        channelId: channel.channelId,
+        template: template.name,
+        error: error.message,
+      });
+    }
+  }
+
+  return parseSignal(text);
+}
@@ -0,0 +1,214 @@
+// server/services/token.service.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+import { User } from '../models/User.js';
+import { RefreshToken } from '../models/RefreshToken.js';
+import { getClientInfo } from './device.service.js';
+
+// Short-lived JWT access tokens plus opaque refresh tokens in an HTTP-only
+// cookie. Access tokens carry a jti and the session (refresh family) ID so
+// they can be revoked individually, per session, or per user via Redis.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_TOKEN_TTL_SECONDS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60;
+
+export const REFRESH_COOKIE = 'refreshToken';
+
+/* ================================
+   ACCESS TOKENS
+================================ */
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    // iat is whole seconds; issuedAt (ms) orders tokens against logout-all
+    { userId: user._id, email: user.email, sid: sessionId, issuedAt: Date.now() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+// jwt.verify plus the revocation list; throws if either rejects the token
+export async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Same secret signs 2FA challenges; those are not access tokens
+  if (decoded.purpose) {
+    throw new Error('Not an access token');
+  }
+
+  if (await isAccessTokenRevoked(decoded)) {
+    throw new Error('Token revoked');
+  }
+
+  return decoded;
+}
+
+export async function isAccessTokenRevoked(decoded) {
+  const [jtiRevoked, sessionRevoked, userRevokedAt] = await redisClient.mGet([
+    `revoked:jti:${decoded.jti}`,
+    `revoked:sid:${decoded.sid}`,
+    `revoked:user:${decoded.userId}`,
+  ]);
+
+  if (jtiRevoked || sessionRevoked) return true;
+
+  // "Log out all devices" rejects everything issued before it, but not a
+  // token from a login in the same second after it
+  if (!userRevokedAt) return false;
+
+  const issuedAt = decoded.issuedAt ?? decoded.iat * 1000;
+  const revokedAt = parseInt(userRevokedAt);
+  // Entries written before millisecond precision hold seconds
+  return issuedAt <= (revokedAt < 1e12 ? revokedAt * 1000 : revokedAt);
+}
+
+export async function revokeAccessToken(decoded) {
+  const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+  if (ttl > 0) {
+    await redisClient.set(`revoked:jti:${decoded.jti}`, '1', { EX: ttl });
+  }
+}
+
+/* ================================
+   REFRESH TOKENS
+================================ */
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function storeRefreshToken(userId, family, req) {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const { ip, userAgent, device, location } = await getClientInfo(req);
+
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+    ip,
+    userAgent,
+    device,
+    location,
+  });
+
+  return token;
+}
+
+// New login: new refresh family (session) and a first access token
+export async function createSession(user, req) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = await storeRefreshToken(user._id, sessionId, req);
+
+  return {
+    sessionId,
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken,
+  };
+}
+
+export async function rotateRefreshToken(rawToken, req) {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+
+  if (!record) {
+    throw new Error('Invalid refresh token');
+  }
+
+  // Reuse of a rotated token: assume it was stolen and kill the session
+  if (record.revokedAt) {
+    logger.warn('Refresh token reuse detected', { userId: record.userId, family: record.family, ip: req.ip });
+    await revokeSession(record.family);
+    throw new Error('Refresh token reused');
+  }
+
+  if (record.expiresAt < new Date()) {
+    throw new Error('Refresh token expired');
+  }
+
+  const user = await User.findById(record.userId).select('-password');
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.suspended) {
+    throw new Error('Account suspended');
+  }
+
+  const refreshToken = await storeRefreshToken(user._id, record.family, req);
+
+  record.revokedAt = new Date();
+  record.replacedByHash = hashToken(refreshToken);
+  await record.save();
+
+  return {
+    user,
+    sessionId: record.family,
+    accessToken: signAccessToken(user, record.family),
+    refreshToken,
+  };
+}
+
+/* ================================
+   REVOCATION
+================================ */
+
+// End one session: its refresh tokens and any access token it issued
+export async function revokeSession(sessionId) {
+  await RefreshToken.updateMany(
+    { family: sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await redisClient.set(`revoked:sid:${sessionId}`, '1', { EX: REFRESH_TOKEN_TTL_SECONDS });
+}
+
+export async function revokeRefreshToken(rawToken) {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (record) {
+    await revokeSession(record.family);
+  }
+}
+
+// Log out all devices
+export async function revokeAllUserTokens(userId) {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await redisClient.set(
+    `revoked:user:${userId}`,
+    String(Date.now()),
+    { EX: REFRESH_TOKEN_TTL_SECONDS }
+  );
+}
+
+/* ================================
+   COOKIES
+================================ */
+
+// Client and API are on different sites in production (see render.yaml),
+// so the cookie must be SameSite=None there; CORS limits who can read /refresh.
+function refreshCookieOptions() {
+  const production = process.env.NODE_ENV === 'production';
+
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? 'none' : 'lax',
+    path: '/api/auth',
+  };
+}
+
+export function setRefreshCookie(res, token) {
+  res.cookie(REFRESH_COOKIE, token, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_TTL_SECONDS * 1000,
+  });
+}
+
+export function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+}
@@ -0,0 +1,105 @@
+// server/services/twoFactor.service.js
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import { authenticator } from 'otplib';
+import { redisClient } from '../utils/redis.js';
+import { encryptForUser, decryptForUser } from './encryption.service.js';
+
+const ISSUER = process.env.TOTP_ISSUER || 'Signal Copier';
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the previous/next 30s step for clock drift
+authenticator.options = { window: 1 };
+
+/* ================================
+   ENROLLMENT
+================================ */
+
+// New secret, encrypted for storage, plus what the authenticator app needs
+export async function createTotpSecret(user) {
+  const secret = authenticator.generateSecret();
+
+  return {
+    encryptedSecret: await encryptForUser(user._id, secret),
+    secret,
+    otpauthUrl: authenticator.keyuri(user.email, ISSUER, secret),
+  };
+}
+
+/* ================================
+   VERIFICATION
+================================ */
+
+export async function verifyTotp(userId, encryptedSecret, code) {
+  const token = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(token) || !encryptedSecret) return false;
+
+  const secret = await decryptForUser(userId, encryptedSecret);
+  if (!authenticator.verify({ token, secret })) return false;
+
+  // A code works once, even inside its validity window
+  const fresh = await redisClient.set(`totp:used:${userId}:${token}`, '1', { NX: true, EX: 90 });
+  return Boolean(fresh);
+}
+
+/* ================================
+   RECOVERY CODES
+================================ */
+
+// Returns the plain codes (shown once) and their hashes (stored)
+export async function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, 10)));
+
+  return { codes, hashes };
+}
+
+// Returns the remaining hashes if the code matched, otherwise null
+export async function consumeRecoveryCode(hashes = [], code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  if (!normalized) return null;
+
+  for (let i = 0; i < hashes.length; i++) {
+    if (await bcrypt.compare(normalized, hashes[i])) {
+      return hashes.filter((_, index) => index !== i);
+    }
+  }
+
+  return null;
+}
+
+/* ================================
+   LOGIN CHALLENGE
+================================ */
+
+// Issued after the password step; exchanged for real tokens with a code
+export function signLoginChallenge(user) {
+  return jwt.sign(
+    { userId: user._id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+export function verifyLoginChallenge(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== '2fa') {
+    throw new Error('Not a 2FA challenge');
+  }
+
+  return decoded;
+}
+
+// Challenges are single-use once a code has been accepted
+export async function markChallengeUsed(decoded) {
+  const ttl = Math.max(decoded.exp - Math.floor(Date.now() / 1000), 1);
+  const fresh = await redisClient.set(`2fa:challenge:${decoded.jti}`, '1', { NX: true, EX: ttl });
+  return Boolean(fresh);
+}
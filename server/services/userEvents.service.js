@@ -0,0 +1,86 @@
+// server/services/userEvents.service.js
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+
+// Signal and trade notifications go to the user's room rather than to one
+// captured socket, so every open tab gets them. Each event is also appended
+// to a capped Redis stream; a tab that reconnects sends the last event ID it
+// saw and gets everything it missed replayed.
+
+const BUFFER_SIZE = parseInt(process.env.USER_EVENT_BUFFER_SIZE) || 200;
+const BUFFER_TTL_SECONDS = parseInt(process.env.USER_EVENT_BUFFER_TTL_SECONDS) || 24 * 60 * 60;
+
+const streamKey = (userId) => `events:user:${userId}`;
+
+let ioServer = null;
+
+export function initUserEvents(io) {
+  ioServer = io;
+}
+
+/* ================================
+   PUBLISH
+================================ */
+
+export async function publishToUser(userId, event, data = {}) {
+  let eventId = null;
+
+  try {
+    const key = streamKey(userId);
+
+    eventId = await redisClient.xAdd(
+      key,
+      '*',
+      { event, data: JSON.stringify(data) },
+      { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: BUFFER_SIZE } }
+    );
+    await redisClient.expire(key, BUFFER_TTL_SECONDS);
+  } catch (error) {
+    // Still deliver live; only replay is lost
+    logger.error('Buffer user event error', { userId, event, error: error.message });
+  }
+
+  ioServer?.to(`user:${userId}`).emit(event, { ...data, eventId });
+  return eventId;
+}
+
+// Socket-shaped wrapper for code that expects `.emit(event, data)`
+export function userNotifier(userId) {
+  return {
+    emit: (event, data) => {
+      publishToUser(userId, event, data);
+      return true;
+    },
+  };
+}
+
+/* ================================
+   REPLAY
+================================ */
+
+// Send a (re)connecting socket everything after the last event it saw
+export async function replayUserEvents(socket, lastEventId) {
+  if (!lastEventId) return 0;
+
+  try {
+    const entries = await redisClient.xRange(
+      streamKey(socket.userId),
+      `(${lastEventId}`,
+      '+',
+      { COUNT: BUFFER_SIZE }
+    );
+
+    entries.forEach(({ id, message }) => {
+      socket.emit(message.event, { ...JSON.parse(message.data), eventId: id, replayed: true });
+    });
+
+    if (entries.length > 0) {
+      logger.info('Replayed buffered events', { userId: socket.userId, count: entries.length });
+    }
+
+    return entries.length;
+  } catch (error) {
+    logger.error('Replay user events error', { userId: socket.userId, error: error.message });
+    return 0;
+  }
+}
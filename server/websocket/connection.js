@@ -1,15 +1,22 @@
 // server/websocket/connection.js
-import jwt from 'jsonwebtoken';
 import { logger } from '../utils/logger.js';
+import { verifyAccessToken } from '../services/token.service.js';
 import { handleTelegramEvents } from './telegram.js';
 import { handleTradingEvents } from './trading.js';
 import { handleDashboardEvents } from './dashboard.js';
+import { routeToOwner, forgetRoutedSocket } from './router.js';
+import { initUserEvents, replayUserEvents } from '../services/userEvents.service.js';
+import { getClientInfo, formatDevice, formatLocation } from '../services/device.service.js';
 
-const connectedUsers = new Map(); // userId -> socket
+const connectedUsers = new Map(); // userId -> Set<socket> (this worker only)
+let ioServer = null;
 
 export function setupWebSocket(io) {
+  ioServer = io;
+  initUserEvents(io);
+
   // Authentication middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth.token;
       
@@ -17,9 +24,15 @@ export function setupWebSocket(io) {
         return next(new Error('Authentication error'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Same checks as authMiddleware, including revoked tokens
+      const decoded = await verifyAccessToken(token);
       socket.userId = decoded.userId;
       socket.userEmail = decoded.email;
+      socket.sessionId = decoded.sid;
+
+      // socket.data is what fetchSockets() exposes from other workers
+      socket.data.sessionId = decoded.sid;
+      socket.data.connectedAt = new Date().toISOString();
       
       next();
     } catch (error) {
@@ -37,11 +50,17 @@ export function setupWebSocket(io) {
       socketId: socket.id,
     });
 
-    // Store connection
-    connectedUsers.set(userId, socket);
+    // Store connection - one entry per tab/device
+    addUserSocket(userId, socket);
 
-    // Join user-specific room
+    // Join user-specific room, and one per login session for remote sign-out
     socket.join(`user:${userId}`);
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+    }
+
+    // Forward Telegram events to the worker that owns this user's client
+    socket.use(routeToOwner(socket));
 
     // Send initial connection success
     socket.emit('connected', {
@@ -49,6 +68,12 @@ export function setupWebSocket(io) {
       userId,
     });
 
+    // Catch up on signal/trade events missed while disconnected
+    replayUserEvents(socket, socket.handshake.auth.lastEventId);
+
+    // Tell the user's other tabs/devices about this one
+    announcePresence(socket);
+
     /* ================================
        TELEGRAM EVENTS
     ================================ */
@@ -74,7 +99,13 @@ export function setupWebSocket(io) {
         reason,
       });
 
-      connectedUsers.delete(userId);
+      removeUserSocket(userId, socket);
+      forgetRoutedSocket(socket);
+
+      io.to(`user:${userId}`).emit('presence:deviceDisconnected', {
+        socketId: socket.id,
+        sessionId: socket.sessionId || null,
+      });
     });
 
     /* ================================
@@ -92,33 +123,136 @@ export function setupWebSocket(io) {
   return io;
 }
 
+/* ================================
+   PRESENCE
+================================ */
+
+function addUserSocket(userId, socket) {
+  let sockets = connectedUsers.get(userId);
+  if (!sockets) {
+    sockets = new Set();
+    connectedUsers.set(userId, sockets);
+  }
+  sockets.add(socket);
+}
+
+function removeUserSocket(userId, socket) {
+  const sockets = connectedUsers.get(userId);
+  if (!sockets) return;
+
+  sockets.delete(socket);
+  if (sockets.size === 0) {
+    connectedUsers.delete(userId);
+  }
+}
+
+function describeDevice(socket) {
+  const { client } = socket.data;
+
+  return {
+    socketId: socket.id,
+    sessionId: socket.data.sessionId || null,
+    connectedAt: socket.data.connectedAt || null,
+    ip: client?.ip || null,
+    deviceLabel: client?.deviceLabel || null,
+    deviceType: client?.deviceType || null,
+    location: client?.location || null,
+  };
+}
+
+// Sends the full device list to the new socket and a deviceConnected
+// event to the user's other sockets, on any worker
+async function announcePresence(socket) {
+  try {
+    const { ip, device, location } = await getClientInfo(socket);
+
+    // Kept in socket.data so other workers see it through fetchSockets()
+    socket.data.client = {
+      ip,
+      deviceLabel: formatDevice(device),
+      deviceType: device.type,
+      location: formatLocation(location),
+    };
+
+    socket.to(`user:${socket.userId}`).emit('presence:deviceConnected', describeDevice(socket));
+
+    const sockets = await ioServer.in(`user:${socket.userId}`).fetchSockets();
+    socket.emit('presence:devices', {
+      devices: sockets.map((other) => ({
+        ...describeDevice(other),
+        current: other.id === socket.id,
+      })),
+    });
+  } catch (error) {
+    logger.error('Presence announce error', { userId: socket.userId, error: error.message });
+  }
+}
+
 /* ================================
    UTILITY FUNCTIONS
 ================================ */
 
-// Send message to specific user
+// Send message to specific user (goes through the adapter, so any worker)
 export function sendToUser(userId, event, data) {
-  const socket = connectedUsers.get(userId);
-  if (socket) {
-    socket.emit(event, data);
-    return true;
-  }
-  return false;
+  if (!ioServer) return false;
+
+  ioServer.to(`user:${userId}`).emit(event, data);
+  return true;
 }
 
-// Broadcast to all connected users
+// Broadcast to all connected users on every worker
 export function broadcast(event, data) {
-  connectedUsers.forEach((socket) => {
-    socket.emit(event, data);
-  });
+  ioServer?.emit(event, data);
 }
 
-// Check if user is connected
+// Check if user has any tab open on this worker
 export function isUserConnected(userId) {
-  return connectedUsers.has(userId);
+  return connectedUsers.get(userId)?.size > 0;
+}
+
+// Check if user is connected to any worker
+export async function isUserOnline(userId) {
+  if (!ioServer) return false;
+
+  const sockets = await ioServer.in(`user:${userId}`).fetchSockets();
+  return sockets.length > 0;
 }
 
-// Get connected user count
+// Force-close every socket a user has open, on any worker
+export function disconnectUser(userId) {
+  ioServer?.in(`user:${userId}`).disconnectSockets(true);
+}
+
+// Open sockets for a user across all workers, for the sessions view
+export async function getUserSockets(userId) {
+  if (!ioServer) return [];
+
+  const sockets = await ioServer.in(`user:${userId}`).fetchSockets();
+
+  return sockets.map((socket) => ({
+    id: socket.id,
+    sessionId: socket.data.sessionId || null,
+    connectedAt: socket.data.connectedAt || null,
+    client: socket.data.client || null,
+    handshake: socket.handshake,
+  }));
+}
+
+// Force-close the sockets opened with one login session's tokens
+export function disconnectSession(sessionId) {
+  ioServer?.in(`session:${sessionId}`).disconnectSockets(true);
+}
+
+// Distinct users with at least one socket on this worker
 export function getConnectedUserCount() {
   return connectedUsers.size;
 }
+
+// Open sockets (tabs/devices) on this worker
+export function getConnectedSocketCount() {
+  let count = 0;
+  connectedUsers.forEach((sockets) => {
+    count += sockets.size;
+  });
+  return count;
+}
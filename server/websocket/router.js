@@ -0,0 +1,226 @@
+// server/websocket/router.js
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+import {
+  WORKER_ID,
+  claimLease,
+  getLeaseOwner,
+  takeoverLease,
+} from '../services/lease.service.js';
+import { handleTelegramEvents } from './telegram.js';
+
+// Telegram events must run on the worker that owns the user's lease.
+// A worker that receives one for a user it doesn't own publishes it to
+// the owner's Redis channel; the owner replays it against a RemoteSocket
+// whose emits go back through the socket.io Redis adapter.
+
+const workerChannel = (workerId) => `telegram:worker:${workerId}`;
+
+// Events that start a Telegram client and so claim the user's lease. Any
+// other event goes to the current owner, or runs here when nobody has one.
+const CLIENT_EVENTS = new Set([
+  'telegram:requestConfirmation',
+  'telegram:requestQrLogin',
+  'telegram:restore',
+]);
+
+const remoteSockets = new Map(); // socketId -> RemoteSocket
+let subscriber = null;
+let ioServer = null;
+
+/* ================================
+   REMOTE SOCKET
+================================ */
+
+class RemoteSocket extends EventEmitter {
+  constructor(io, { socketId, userId, userEmail, handshake }) {
+    super();
+    this.io = io;
+    this.id = socketId;
+    this.userId = userId;
+    this.userEmail = userEmail;
+    this.handshake = handshake;
+    this.actorId = null;
+  }
+
+  // Outgoing: deliver to the browser socket wherever it is connected
+  emit(event, data) {
+    this.io.to(this.id).emit(event, data);
+    return true;
+  }
+
+  // Incoming: run the handlers registered through handleTelegramEvents
+  receive(event, ...args) {
+    return EventEmitter.prototype.emit.call(this, event, ...args);
+  }
+}
+
+function getRemoteSocket(io, message) {
+  let remote = remoteSockets.get(message.socketId);
+
+  if (!remote) {
+    remote = new RemoteSocket(io, message);
+    handleTelegramEvents(remote, io);
+    remoteSockets.set(message.socketId, remote);
+  }
+
+  // Set per event: who triggered it, when not the user themself
+  remote.actorId = message.actorId || null;
+
+  return remote;
+}
+
+/* ================================
+   SETUP
+================================ */
+
+export async function startEventRouter(io) {
+  if (subscriber) return;
+
+  ioServer = io;
+
+  subscriber = redisClient.duplicate();
+  await subscriber.connect();
+
+  await subscriber.subscribe(workerChannel(WORKER_ID), (raw) => {
+    try {
+      const message = JSON.parse(raw);
+
+      if (message.type === 'disconnect') {
+        const remote = remoteSockets.get(message.socketId);
+        if (remote) {
+          remote.receive('disconnect', 'remote socket disconnected');
+          remote.removeAllListeners();
+          remoteSockets.delete(message.socketId);
+        }
+        return;
+      }
+
+      getRemoteSocket(io, message).receive(message.event, ...message.args);
+    } catch (error) {
+      logger.error('Routed event error', { workerId: WORKER_ID, error: error.message });
+    }
+  });
+
+  logger.info('Event router started', { workerId: WORKER_ID });
+}
+
+export async function stopEventRouter() {
+  if (!subscriber) return;
+
+  await subscriber.quit().catch(() => {});
+  subscriber = null;
+}
+
+/* ================================
+   SOCKET MIDDLEWARE
+================================ */
+
+// Worker that should run the event; null means this one, without a lease
+function resolveOwner(userId, event) {
+  return CLIENT_EVENTS.has(event) ? claimLease(userId) : getLeaseOwner(userId);
+}
+
+// The owner's channel had no subscribers. Take the lease over when the
+// event needs a client; otherwise run it here and let the lease expire.
+async function ownerGone(userId, event, owner) {
+  if (!CLIENT_EVENTS.has(event)) return true;
+  return takeoverLease(userId, owner);
+}
+
+// socket.use() middleware: handle locally if we own the user, else forward
+export function routeToOwner(socket) {
+  return async ([event, ...args], next) => {
+    if (!subscriber || !event?.startsWith('telegram:')) {
+      return next();
+    }
+
+    const userId = socket.userId;
+
+    try {
+      const owner = await resolveOwner(userId, event);
+      if (!owner || owner === WORKER_ID) {
+        return next();
+      }
+
+      const receivers = await redisClient.publish(workerChannel(owner), JSON.stringify({
+        type: 'event',
+        socketId: socket.id,
+        userId,
+        userEmail: socket.userEmail,
+        handshake: {
+          headers: {
+            'user-agent': socket.handshake.headers['user-agent'],
+            'x-forwarded-for': socket.handshake.headers['x-forwarded-for'],
+          },
+          address: socket.handshake.address,
+        },
+        event,
+        args,
+      }));
+      if (receivers > 0) return;
+
+      // Nobody listening on the owner's channel - the worker is gone
+      if (await ownerGone(userId, event, owner)) {
+        return next();
+      }
+
+      // Another worker took the lease over first
+      logger.warn('Event not routed', { userId, event, owner });
+      socket.emit('telegram:error', { error: 'Telegram is reconnecting, please try again' });
+    } catch (error) {
+      logger.error('Event routing error', { userId, event, error: error.message });
+      socket.emit('telegram:error', { error: 'Telegram is unavailable, please try again' });
+    }
+  };
+}
+
+/* ================================
+   SERVER-INITIATED EVENTS
+================================ */
+
+// Run a Telegram event for a user without a browser socket (admin actions).
+// Replies go to the user's room, so every open tab sees the result.
+export async function dispatchTelegramEvent(userId, event, { actorId = null, args = [] } = {}) {
+  const message = {
+    type: 'event',
+    socketId: `user:${userId}`,
+    userId,
+    actorId,
+    userEmail: null,
+    handshake: { headers: {}, address: null },
+    event,
+    args,
+  };
+
+  const owner = await resolveOwner(userId, event);
+
+  if (owner && owner !== WORKER_ID) {
+    const receivers = await redisClient.publish(workerChannel(owner), JSON.stringify(message));
+    if (receivers > 0) return;
+
+    if (!(await ownerGone(userId, event, owner))) {
+      throw new Error('Telegram is reconnecting, please try again');
+    }
+  }
+
+  getRemoteSocket(ioServer, message).receive(event, ...args);
+}
+
+// Let the owning worker drop its RemoteSocket for a closed browser socket
+export async function forgetRoutedSocket(socket) {
+  if (!subscriber) return;
+
+  try {
+    const owner = await getLeaseOwner(socket.userId);
+    if (!owner || owner === WORKER_ID) return;
+
+    await redisClient.publish(workerChannel(owner), JSON.stringify({
+      type: 'disconnect',
+      socketId: socket.id,
+    }));
+  } catch (error) {
+    logger.error('Forget routed socket error', { userId: socket.userId, error: error.message });
+  }
+}
@@ -1,26 +1,64 @@
 // server/websocket/telegram.js
-import { TelegramClient } from 'telegram';
+import { TelegramClient, utils } from 'telegram';
 import { StringSession } from 'telegram/sessions/index.js';
 import { Api } from 'telegram/tl';
+import { Raw } from 'telegram/events/index.js';
 import { logger } from '../utils/logger.js';
+import mongoose from 'mongoose';
 import { User } from '../models/User.js';
 import { Channel } from '../models/Channel.js';
-import { processSignal } from '../services/signal.service.js';
-
-const userClients = new Map(); // userId -> { client, sessionString, loginPromise }
+import { TelegramIdentity } from '../models/TelegramIdentity.js';
+import { Backtest } from '../models/Backtest.js';
+import { executeSignal } from '../services/execution.service.js';
+import {
+  recordSignalMessage,
+  handleSignalEdit,
+  handleSignalDelete,
+} from '../services/amendment.service.js';
+import { handleFollowUp } from '../services/followup.service.js';
+import { releaseLease, onLeaseLost } from '../services/lease.service.js';
+import { userNotifier } from '../services/userEvents.service.js';
+import { encryptForUser, decryptForUser } from '../services/encryption.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { getClientInfo, formatDevice, formatLocation } from '../services/device.service.js';
+import {
+  listDialogs,
+  listForumTopics,
+  searchAndPaginate,
+  getThreadInfo,
+  clearDialogCache,
+} from '../services/dialog.service.js';
+import { evaluateChannelSignal } from '../services/channelConfig.service.js';
+import { extractMessageText, saveSignalImage } from '../services/media.service.js';
+import { runBacktest, failBacktest } from '../services/backtest.service.js';
+
+// A user's clients all run on the worker holding the user's lease
+const userClients = new Map(); // userId -> Map<identityId, { client, sessionString }>
+const pendingLogins = new Map(); // userId -> { client, loginPromise, pending, phoneNumber, startTime }
+const clientHandlers = new WeakMap(); // client -> { handler, event }
+
+// Wrong code/password: gramjs asks for that step again
+const RETRYABLE_LOGIN_ERRORS = ['PHONE_CODE_INVALID', 'PASSWORD_HASH_INVALID'];
 
 export function handleTelegramEvents(socket, io) {
   const userId = socket.userId;
 
   /* ================================
-     REQUEST CONFIRMATION (No Code)
+     REQUEST CONFIRMATION
   ================================ */
   socket.on('telegram:requestConfirmation', async ({ phoneNumber }) => {
+    let client = null;
+
     try {
+      if (!(await ensureEmailVerified(userId, socket))) return;
+
       logger.info('Telegram confirmation requested', { userId, phoneNumber });
 
+      // One login at a time per user; a new attempt replaces the old one
+      await dropPendingLogin(userId, 'replaced');
+
       // Create new client session
-      const client = new TelegramClient(
+      client = new TelegramClient(
         new StringSession(''),
         parseInt(process.env.API_ID),
         process.env.API_HASH,
@@ -34,65 +72,80 @@ export function handleTelegramEvents(socket, io) {
 
       // Variable to track if login completed
       let loginCompleted = false;
+      let loginTimeout = null;
+
+      // Holds the code / 2FA password prompts until the browser answers
+      const pending = createPendingLogin();
+
+      // Login times out 2 minutes after the last prompt
+      const armLoginTimeout = () => {
+        clearTimeout(loginTimeout);
+        loginTimeout = setTimeout(() => {
+          if (!loginCompleted) {
+            loginCompleted = true;
+            pending.abort('timeout');
+            socket.emit('telegram:loginTimeout');
+            
+            dropPendingLogin(userId, null, client);
+          }
+        }, 120000); // 2 minutes
+      };
+
+      // Get device/browser info
+      const { ip, device, location } = await getClientInfo(socket);
 
-      // Start sign-in process with bot-like confirmation
+      // Sent before client.start() so it can't arrive after codeRequired/passwordRequired
+      socket.emit('telegram:confirmationSent', {
+        browser: formatDevice(device),
+        ip: ip || 'Unknown IP',
+        location: formatLocation(location),
+        device,
+      });
+
+      // Start sign-in process; Telegram decides whether it needs a code and/or password
       const loginPromise = client.start({
         phoneNumber: async () => phoneNumber,
-        password: async () => {
-          // Most users won't have 2FA
-          return '';
+        phoneCode: async (isCodeViaApp) => {
+          armLoginTimeout();
+          socket.emit('telegram:codeRequired', {
+            viaApp: Boolean(isCodeViaApp),
+            retry: pending.attempts.code++ > 0,
+          });
+          return pending.wait('code');
         },
-        phoneCode: async () => {
-          // This function is called when Telegram sends verification code
-          // But we want to use the "confirm on device" method instead
-          // So we'll use the forceSMS: false option to trigger app confirmation
-          throw new Error('Please confirm login in your Telegram app');
+        password: async (hint) => {
+          armLoginTimeout();
+          socket.emit('telegram:passwordRequired', {
+            hint: hint || null,
+            retry: pending.attempts.password++ > 0,
+          });
+          return pending.wait('password');
         },
-        onError: (err) => {
-          if (!loginCompleted) {
-            logger.error('Telegram login error', { userId, error: err.message });
-            socket.emit('telegram:error', { 
-              error: err.message.includes('PHONE_NUMBER_INVALID')
-                ? 'Invalid phone number format'
-                : 'Login failed. Please try again.'
-            });
+        onError: async (err) => {
+          // Returning true stops the login; false asks the same step again
+          if (loginCompleted || pending.aborted) return true;
+
+          if (RETRYABLE_LOGIN_ERRORS.some(code => err.message.includes(code))) {
+            logger.info('Telegram login step rejected', { userId, error: err.message });
+            return false;
           }
+
+          logger.error('Telegram login error', { userId, error: err.message });
+          pending.error = err;
+          return true;
         },
       });
 
-      // Store client data
-      userClients.set(userId, {
+      // Store client data until the login finishes
+      pendingLogins.set(userId, {
         client,
         loginPromise,
+        pending,
         phoneNumber,
         startTime: Date.now(),
       });
 
-      // Get device/browser info
-      const userAgent = socket.handshake.headers['user-agent'] || 'Unknown Browser';
-      const ip = socket.handshake.address || 'Unknown IP';
-      const browser = parseBrowser(userAgent);
-
-      // Notify client that confirmation was sent
-      socket.emit('telegram:confirmationSent', {
-        browser,
-        ip,
-        location: 'Kano, Nigeria', // You can integrate GeoIP service here
-      });
-
-      // Set timeout for login (2 minutes)
-      const loginTimeout = setTimeout(() => {
-        if (!loginCompleted) {
-          loginCompleted = true;
-          socket.emit('telegram:loginTimeout');
-          
-          const clientData = userClients.get(userId);
-          if (clientData?.client) {
-            clientData.client.disconnect().catch(() => {});
-            userClients.delete(userId);
-          }
-        }
-      }, 120000); // 2 minutes
+      armLoginTimeout();
 
       // Wait for login completion
       try {
@@ -100,39 +153,26 @@ export function handleTelegramEvents(socket, io) {
         loginCompleted = true;
         clearTimeout(loginTimeout);
 
-        // Check if still connected
-        if (!client.connected) {
-          throw new Error('Client disconnected during login');
-        }
-
-        // Save session
-        const sessionString = client.session.save();
-        
-        await User.findByIdAndUpdate(userId, {
-          telegramSession: sessionString,
-          telegramConnected: true,
-          telegramPhone: phoneNumber,
-          lastLogin: new Date(),
-        });
-
-        userClients.set(userId, { client, sessionString });
-
-        socket.emit('telegram:loginSuccess');
-        logger.info('Telegram login successful', { userId, phoneNumber });
-
-        // Start listening to channels
-        await startChannelListeners(userId, client, socket);
+        await finishLogin(userId, client, socket, phoneNumber);
 
       } catch (error) {
         loginCompleted = true;
         clearTimeout(loginTimeout);
+
+        // Timeout already reported; a replaced login has a newer one running
+        if (pending.aborted === 'timeout' || pending.aborted === 'replaced') return;
         
         // Check if user cancelled
-        if (error.message.includes('CANCELLED') || error.message.includes('cancel')) {
+        if (
+          pending.aborted === 'cancelled' ||
+          error.message.includes('CANCELLED') ||
+          error.message.includes('cancel')
+        ) {
           socket.emit('telegram:loginCancelled');
           logger.info('Telegram login cancelled by user', { userId });
         } else {
-          throw error;
+          // Surface the Telegram error rather than gramjs' AUTH_USER_CANCEL
+          throw pending.error || error;
         }
       }
 
@@ -140,10 +180,8 @@ export function handleTelegramEvents(socket, io) {
       logger.error('Telegram confirmation error', { userId, error: error.message });
       
       // Clean up
-      const clientData = userClients.get(userId);
-      if (clientData?.client) {
-        clientData.client.disconnect().catch(() => {});
-        userClients.delete(userId);
+      if (!(await dropPendingLogin(userId, null, client))) {
+        client?.disconnect().catch(() => {});
       }
 
       // Send appropriate error message
@@ -155,6 +193,8 @@ export function handleTelegramEvents(socket, io) {
         errorMessage = 'This phone number is banned from Telegram.';
       } else if (error.message.includes('PHONE_CODE_EXPIRED')) {
         errorMessage = 'Confirmation expired. Please try again.';
+      } else if (error.message.includes('FLOOD_WAIT')) {
+        errorMessage = 'Too many attempts. Please wait and try again later.';
       } else if (error.message.includes('network')) {
         errorMessage = 'Network error. Please check your connection.';
       }
@@ -163,15 +203,165 @@ export function handleTelegramEvents(socket, io) {
     }
   });
 
+  /* ================================
+     REQUEST QR LOGIN
+  ================================ */
+  socket.on('telegram:requestQrLogin', async () => {
+    let client = null;
+
+    try {
+      if (!(await ensureEmailVerified(userId, socket))) return;
+
+      logger.info('Telegram QR login requested', { userId });
+
+      await dropPendingLogin(userId, 'replaced');
+
+      client = new TelegramClient(
+        new StringSession(''),
+        parseInt(process.env.API_ID),
+        process.env.API_HASH,
+        {
+          connectionRetries: 5,
+          useWSS: false,
+        }
+      );
+
+      await client.connect();
+
+      let loginCompleted = false;
+      let loginTimeout = null;
+      const pending = createPendingLogin();
+
+      // Unlike the phone flow, token refreshes don't extend the timeout
+      const armLoginTimeout = () => {
+        clearTimeout(loginTimeout);
+        loginTimeout = setTimeout(() => {
+          if (!loginCompleted) {
+            loginCompleted = true;
+            pending.abort('timeout');
+            socket.emit('telegram:loginTimeout');
+
+            dropPendingLogin(userId, null, client);
+          }
+        }, 120000); // 2 minutes
+      };
+
+      // gramjs exports a login token, calls qrCode, and re-exports when it expires
+      const loginPromise = client.signInUserWithQrCode(
+        { apiId: parseInt(process.env.API_ID), apiHash: process.env.API_HASH },
+        {
+          qrCode: async ({ token, expires }) => {
+            socket.emit('telegram:qrCode', {
+              url: `tg://login?token=${Buffer.from(token).toString('base64url')}`,
+              expires: expires * 1000,
+            });
+          },
+          password: async (hint) => {
+            armLoginTimeout();
+            socket.emit('telegram:passwordRequired', {
+              hint: hint || null,
+              retry: pending.attempts.password++ > 0,
+            });
+            return pending.wait('password');
+          },
+          onError: async (err) => {
+            if (loginCompleted || pending.aborted) return true;
+
+            if (RETRYABLE_LOGIN_ERRORS.some(code => err.message.includes(code))) {
+              logger.info('Telegram login step rejected', { userId, error: err.message });
+              return false;
+            }
+
+            logger.error('Telegram QR login error', { userId, error: err.message });
+            pending.error = err;
+            return true;
+          },
+        }
+      );
+
+      pendingLogins.set(userId, {
+        client,
+        loginPromise,
+        pending,
+        startTime: Date.now(),
+      });
+
+      armLoginTimeout();
+
+      try {
+        await loginPromise;
+        loginCompleted = true;
+        clearTimeout(loginTimeout);
+
+        // Phone number is read from the signed-in account
+        await finishLogin(userId, client, socket, null);
+
+      } catch (error) {
+        loginCompleted = true;
+        clearTimeout(loginTimeout);
+
+        if (pending.aborted === 'timeout' || pending.aborted === 'replaced') return;
+
+        if (pending.aborted === 'cancelled') {
+          socket.emit('telegram:loginCancelled');
+          logger.info('Telegram QR login cancelled by user', { userId });
+        } else {
+          throw pending.error || error;
+        }
+      }
+
+    } catch (error) {
+      logger.error('Telegram QR login error', { userId, error: error.message });
+
+      if (!(await dropPendingLogin(userId, null, client))) {
+        client?.disconnect().catch(() => {});
+      }
+
+      socket.emit('telegram:error', {
+        error: error.message.includes('FLOOD_WAIT')
+          ? 'Too many attempts. Please wait and try again later.'
+          : 'QR login failed. Please try again.',
+      });
+    }
+  });
+
+  /* ================================
+     SUBMIT LOGIN CODE
+  ================================ */
+  socket.on('telegram:submitCode', ({ code } = {}) => {
+    const login = pendingLogins.get(userId);
+    const value = String(code || '').replace(/\s+/g, '');
+
+    if (!value) {
+      return socket.emit('telegram:codeRequired', { retry: true });
+    }
+
+    if (!login?.pending?.answer('code', value)) {
+      socket.emit('telegram:error', { error: 'No login in progress' });
+    }
+  });
+
+  /* ================================
+     SUBMIT 2FA PASSWORD
+  ================================ */
+  socket.on('telegram:submitPassword', ({ password } = {}) => {
+    const login = pendingLogins.get(userId);
+
+    if (!password) {
+      return socket.emit('telegram:passwordRequired', { retry: true });
+    }
+
+    if (!login?.pending?.answer('password', password)) {
+      socket.emit('telegram:error', { error: 'No login in progress' });
+    }
+  });
+
   /* ================================
      CANCEL LOGIN
   ================================ */
   socket.on('telegram:cancelLogin', async () => {
     try {
-      const clientData = userClients.get(userId);
-      if (clientData?.client) {
-        await clientData.client.disconnect();
-        userClients.delete(userId);
+      if (await dropPendingLogin(userId, 'cancelled')) {
         logger.info('Telegram login cancelled', { userId });
       }
     } catch (error) {
@@ -179,120 +369,200 @@ export function handleTelegramEvents(socket, io) {
     }
   });
 
+  /* ================================
+     LIST LINKED ACCOUNTS
+  ================================ */
+  socket.on('telegram:getIdentities', async () => {
+    try {
+      const identities = await TelegramIdentity.find({ userId }).sort({ createdAt: 1 });
+      socket.emit('telegram:identities', {
+        identities: identities.map((identity) => formatIdentity(userId, identity)),
+      });
+    } catch (error) {
+      logger.error('Get identities error', { userId, error: error.message });
+      socket.emit('telegram:error', { error: 'Failed to get Telegram accounts' });
+    }
+  });
+
   /* ================================
      RESTORE SESSION
   ================================ */
-  socket.on('telegram:restore', async () => {
+  // Restores one account ({ identityId }) or every connected one
+  socket.on('telegram:restore', async ({ identityId } = {}) => {
     try {
-      const user = await User.findById(userId);
-      
-      if (!user?.telegramSession) {
-        return socket.emit('telegram:notConnected');
+      const query = { userId, connected: true, session: { $ne: null } };
+      if (identityId) {
+        if (!mongoose.isValidObjectId(identityId)) {
+          return socket.emit('telegram:notConnected', { identityId });
+        }
+        query._id = identityId;
       }
 
-      // Check if client already exists and is connected
-      const existingClient = userClients.get(userId);
-      if (existingClient?.client?.connected) {
-        socket.emit('telegram:restored', { success: true });
-        await startChannelListeners(userId, existingClient.client, socket);
-        return;
+      const identities = await TelegramIdentity.find(query);
+
+      if (identities.length === 0) {
+        return socket.emit('telegram:notConnected', { identityId: identityId || null });
       }
 
-      // Restore client from saved session
-      const client = new TelegramClient(
-        new StringSession(user.telegramSession),
-        parseInt(process.env.API_ID),
-        process.env.API_HASH,
-        { connectionRetries: 5 }
-      );
+      const restored = [];
 
-      await client.connect();
+      for (const identity of identities) {
+        const id = identity._id.toString();
 
-      // Check if session is still valid
-      const isAuthorized = await client.checkAuthorization();
-      
-      if (!isAuthorized) {
-        await User.findByIdAndUpdate(userId, {
-          telegramConnected: false,
-          telegramSession: null,
-        });
-        return socket.emit('telegram:sessionExpired');
-      }
+        try {
+          // Check if client already exists and is connected
+          const existing = getIdentityClient(userId, id);
+          if (existing?.client?.connected) {
+            await startChannelListeners(userId, id, existing.client);
+            restored.push(identity);
+            continue;
+          }
 
-      userClients.set(userId, { client, sessionString: user.telegramSession });
+          // Restore client from saved session
+          const client = await restoreClient(userId, identity);
 
-      socket.emit('telegram:restored', { success: true });
-      logger.info('Telegram session restored', { userId });
+          if (!client) {
+            await expireIdentity(identity);
+            socket.emit('telegram:sessionExpired', { identityId: id });
+            continue;
+          }
 
-      // Start channel listeners
-      await startChannelListeners(userId, client, socket);
+          logger.info('Telegram session restored', { userId, identityId: id });
+
+          // Start channel listeners
+          await startChannelListeners(userId, id, client);
+          restored.push(identity);
+
+        } catch (error) {
+          logger.error('Telegram restore error', { userId, identityId: id, error: error.message });
+
+          // Clean up invalid session
+          await expireIdentity(identity);
+          socket.emit('telegram:sessionExpired', { identityId: id });
+        }
+      }
+
+      releaseIdleLease(userId);
+
+      if (restored.length > 0) {
+        socket.emit('telegram:restored', {
+          success: true,
+          identities: restored.map((identity) => formatIdentity(userId, identity)),
+        });
+      }
 
     } catch (error) {
       logger.error('Telegram restore error', { userId, error: error.message });
-      
-      // Clean up invalid session
-      await User.findByIdAndUpdate(userId, {
-        telegramConnected: false,
-        telegramSession: null,
-      });
-      
-      socket.emit('telegram:sessionExpired');
+      socket.emit('telegram:sessionExpired', { identityId: identityId || null });
     }
   });
 
   /* ================================
      GET CHANNELS
   ================================ */
-  socket.on('telegram:getChannels', async () => {
+  // { identityId, search, page, limit, refresh } - refresh skips the cache
+  socket.on('telegram:getChannels', async ({ identityId, search, page, limit, refresh } = {}) => {
     try {
-      const clientData = userClients.get(userId);
+      const identity = await resolveIdentity(userId, identityId, socket);
+      if (!identity) return;
+
+      const clientData = getIdentityClient(userId, identity._id);
       if (!clientData?.client) {
         return socket.emit('telegram:error', { error: 'Not connected to Telegram' });
       }
 
-      const { client } = clientData;
+      // Get all dialogs (chats/channels), then the requested page
+      const dialogs = await listDialogs(identity._id, clientData.client, { refresh: Boolean(refresh) });
+      const result = searchAndPaginate(dialogs, { search, page, limit, fields: ['title', 'username'] });
+
+      socket.emit('telegram:channels', {
+        identityId: identity._id.toString(),
+        channels: result.items,
+        search: search || '',
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        hasMore: result.hasMore,
+      });
+      logger.info('Channels retrieved', { userId, identityId: identity._id, count: result.items.length, total: result.total });
+
+    } catch (error) {
+      logger.error('Get channels error', { userId, error: error.message });
+      socket.emit('telegram:error', { error: 'Failed to get channels' });
+    }
+  });
 
-      // Get all dialogs (chats/channels)
-      const dialogs = await client.getDialogs({ limit: 100 });
+  /* ================================
+     GET FORUM TOPICS
+  ================================ */
+  socket.on('telegram:getTopics', async ({ identityId, channelId, search, page, limit, refresh } = {}) => {
+    try {
+      const identity = await resolveIdentity(userId, identityId, socket);
+      if (!identity) return;
 
-      const channels = dialogs
-        .filter(d => d.isChannel || d.isGroup)
-        .map(d => ({
-          id: d.id.toString(),
-          title: d.title,
-          username: d.entity.username || null,
-          isChannel: d.isChannel,
-          isGroup: d.isGroup,
-          participantsCount: d.entity.participantsCount || 0,
-        }))
-        .sort((a, b) => a.title.localeCompare(b.title));
+      const clientData = getIdentityClient(userId, identity._id);
+      if (!clientData?.client) {
+        return socket.emit('telegram:error', { error: 'Not connected to Telegram' });
+      }
+
+      const dialogs = await listDialogs(identity._id, clientData.client);
+      if (!dialogs.find((dialog) => dialog.id === channelId)?.isForum) {
+        return socket.emit('telegram:error', { error: 'This group has no topics' });
+      }
 
-      socket.emit('telegram:channels', { channels });
-      logger.info('Channels retrieved', { userId, count: channels.length });
+      const topics = await listForumTopics(identity._id, clientData.client, channelId, { refresh: Boolean(refresh) });
+      const result = searchAndPaginate(topics, { search, page, limit, fields: ['title'] });
+
+      socket.emit('telegram:topics', {
+        identityId: identity._id.toString(),
+        channelId,
+        topics: result.items,
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        hasMore: result.hasMore,
+      });
 
     } catch (error) {
-      logger.error('Get channels error', { userId, error: error.message });
-      socket.emit('telegram:error', { error: 'Failed to get channels' });
+      logger.error('Get topics error', { userId, channelId, error: error.message });
+      socket.emit('telegram:error', { error: 'Failed to get topics' });
     }
   });
 
   /* ================================
      SUBSCRIBE TO CHANNEL
   ================================ */
-  socket.on('telegram:subscribeChannel', async ({ channelId, channelTitle }) => {
+  // { identityId, channelId, channelTitle, topicId?, topicTitle? } - with a
+  // topicId only that forum topic is followed, not the whole group
+  socket.on('telegram:subscribeChannel', async ({ identityId, channelId, channelTitle, topicId, topicTitle } = {}) => {
     try {
+      const identity = await resolveIdentity(userId, identityId, socket);
+      if (!identity) return;
+
+      const topic = normalizeTopicId(topicId);
+
+      // A channel followed from two accounts would copy every signal twice
+      const elsewhere = await Channel.findOne({
+        userId,
+        channelId,
+        topicId: topic,
+        enabled: true,
+        telegramIdentityId: { $ne: identity._id },
+      });
+
+      if (elsewhere) {
+        return socket.emit('telegram:error', {
+          error: 'Already subscribed to this channel from another Telegram account',
+        });
+      }
+
       // Check if already subscribed
-      const existing = await Channel.findOne({ userId, channelId });
+      const existing = await Channel.findOne({ userId, telegramIdentityId: identity._id, channelId, topicId: topic });
       
       if (existing) {
         if (!existing.enabled) {
           existing.enabled = true;
           await existing.save();
-          socket.emit('telegram:channelSubscribed', {
-            success: true,
-            channelId,
-            title: channelTitle,
-          });
         } else {
           return socket.emit('telegram:error', { 
             error: 'Already subscribed to this channel' 
@@ -302,26 +572,33 @@ export function handleTelegramEvents(socket, io) {
         // Create new subscription
         await Channel.create({
           userId,
+          telegramIdentityId: identity._id,
           channelId,
           title: channelTitle,
+          topicId: topic,
+          topicTitle: topic ? topicTitle || null : null,
           enabled: true,
           createdAt: new Date(),
         });
-
-        socket.emit('telegram:channelSubscribed', {
-          success: true,
-          channelId,
-          title: channelTitle,
-        });
       }
 
-      logger.info('Channel subscribed', { userId, channelId, title: channelTitle });
+      socket.emit('telegram:channelSubscribed', {
+        success: true,
+        identityId: identity._id.toString(),
+        channelId,
+        topicId: topic,
+        title: channelTitle,
+      });
+
+      logger.info('Channel subscribed', { userId, identityId: identity._id, channelId, topicId: topic, title: channelTitle });
+      await recordAudit('channel.subscribed', socket, {
+        before: existing ? { enabled: false } : null,
+        after: { enabled: true },
+        metadata: { identityId: identity._id, channelId, topicId: topic, title: channelTitle },
+      });
 
       // Restart listeners to include new channel
-      const clientData = userClients.get(userId);
-      if (clientData?.client) {
-        await startChannelListeners(userId, clientData.client, socket);
-      }
+      await restartChannelListeners(userId, identity._id);
 
     } catch (error) {
       logger.error('Subscribe channel error', { userId, error: error.message });
@@ -332,9 +609,13 @@ export function handleTelegramEvents(socket, io) {
   /* ================================
      UNSUBSCRIBE FROM CHANNEL
   ================================ */
-  socket.on('telegram:unsubscribeChannel', async ({ channelId }) => {
+  socket.on('telegram:unsubscribeChannel', async ({ identityId, channelId, topicId } = {}) => {
     try {
-      const channel = await Channel.findOne({ userId, channelId });
+      const identity = await resolveIdentity(userId, identityId, socket);
+      if (!identity) return;
+
+      const topic = normalizeTopicId(topicId);
+      const channel = await Channel.findOne({ userId, telegramIdentityId: identity._id, channelId, topicId: topic });
       
       if (!channel) {
         return socket.emit('telegram:error', { error: 'Channel not found' });
@@ -345,10 +626,20 @@ export function handleTelegramEvents(socket, io) {
 
       socket.emit('telegram:channelUnsubscribed', {
         success: true,
+        identityId: identity._id.toString(),
         channelId,
+        topicId: topic,
+      });
+
+      logger.info('Channel unsubscribed', { userId, identityId: identity._id, channelId, topicId: topic });
+      await recordAudit('channel.unsubscribed', socket, {
+        before: { enabled: true },
+        after: { enabled: false },
+        metadata: { identityId: identity._id, channelId, topicId: topic, title: channel.title },
       });
 
-      logger.info('Channel unsubscribed', { userId, channelId });
+      // Stop listening to it
+      await restartChannelListeners(userId, identity._id);
 
     } catch (error) {
       logger.error('Unsubscribe channel error', { userId, error: error.message });
@@ -357,28 +648,125 @@ export function handleTelegramEvents(socket, io) {
   });
 
   /* ================================
-     DISCONNECT
+     BACKTEST CHANNEL
   ================================ */
-  socket.on('telegram:disconnect', async () => {
+  // Dispatched by POST /api/channels/:id/backtest; runs here because this
+  // worker holds the user's Telegram clients
+  socket.on('telegram:backtest', async ({ backtestId } = {}) => {
     try {
-      const clientData = userClients.get(userId);
-      if (clientData?.client) {
-        await clientData.client.disconnect();
-        userClients.delete(userId);
+      const backtest = mongoose.isValidObjectId(backtestId)
+        ? await Backtest.findOne({ _id: backtestId, userId, status: 'queued' })
+        : null;
+      if (!backtest) return;
+
+      const channel = await Channel.findOne({ _id: backtest.channel, userId });
+      const clientData = channel && getIdentityClient(userId, channel.telegramIdentityId);
+      if (!clientData?.client) {
+        await failBacktest(backtest._id, 'Telegram account not connected');
+        return socket.emit('backtest:failed', { backtestId, error: 'Telegram account not connected' });
       }
 
-      await User.findByIdAndUpdate(userId, {
-        telegramConnected: false,
+      const result = await runBacktest(backtest, channel, clientData.client, {
+        onProgress: ({ progress }) => socket.emit('backtest:progress', { backtestId, ...progress }),
       });
 
-      socket.emit('telegram:disconnected', { success: true });
-      logger.info('Telegram disconnected', { userId });
+      if (result.status === 'completed') {
+        socket.emit('backtest:completed', { backtestId, channelId: channel.channelId, stats: result.stats });
+      } else {
+        socket.emit('backtest:failed', { backtestId, error: result.error });
+      }
+
+    } catch (error) {
+      logger.error('Backtest handler error', { userId, backtestId, error: error.message });
+      await failBacktest(backtestId, error.message).catch(() => {});
+      socket.emit('backtest:failed', { backtestId, error: 'Backtest failed' });
+    }
+  });
+
+  /* ================================
+     DISCONNECT
+  ================================ */
+  // Disconnects one account ({ identityId }) or all of them. The session is
+  // kept so the account can be reconnected without logging in again.
+  socket.on('telegram:disconnect', async ({ identityId } = {}) => {
+    try {
+      const query = { userId, connected: true };
+      if (identityId) {
+        if (!mongoose.isValidObjectId(identityId)) {
+          return socket.emit('telegram:error', { error: 'Telegram account not found' });
+        }
+        query._id = identityId;
+      }
+
+      const identities = await TelegramIdentity.find(query).select('_id phone');
+
+      for (const identity of identities) {
+        await dropIdentityClient(userId, identity._id);
+        await TelegramIdentity.updateOne({ _id: identity._id }, { connected: false });
+
+        await recordAudit('telegram.disconnected', socket, {
+          before: { connected: true },
+          after: { connected: false },
+          metadata: { identityId: identity._id, phone: identity.phone },
+        });
+      }
+
+      releaseIdleLease(userId);
+
+      socket.emit('telegram:disconnected', {
+        success: true,
+        identityIds: identities.map((identity) => identity._id.toString()),
+      });
+      logger.info('Telegram disconnected', { userId, identityId: identityId || 'all', count: identities.length });
 
     } catch (error) {
       logger.error('Telegram disconnect error', { userId, error: error.message });
     }
   });
 
+  /* ================================
+     UNLINK ACCOUNT
+  ================================ */
+  // Logs the account out of Telegram and forgets it, with its subscriptions
+  socket.on('telegram:unlink', async ({ identityId } = {}) => {
+    try {
+      if (!mongoose.isValidObjectId(identityId)) {
+        return socket.emit('telegram:error', { error: 'Telegram account not found' });
+      }
+
+      const identity = await TelegramIdentity.findOne({ _id: identityId, userId });
+      if (!identity) {
+        return socket.emit('telegram:error', { error: 'Telegram account not found' });
+      }
+
+      // Revoke the session on Telegram's side too, if we can reach it
+      const clientData = getIdentityClient(userId, identity._id);
+      if (clientData?.client?.connected) {
+        await clientData.client.invoke(new Api.auth.LogOut()).catch((error) => {
+          logger.warn('Telegram log out failed', { userId, identityId, error: error.message });
+        });
+      }
+
+      await dropIdentityClient(userId, identity._id);
+      await Channel.updateMany({ userId, telegramIdentityId: identity._id }, { enabled: false });
+      await TelegramIdentity.deleteOne({ _id: identity._id });
+      await clearDialogCache(identity._id);
+      releaseIdleLease(userId);
+
+      socket.emit('telegram:identityRemoved', { identityId: identity._id.toString() });
+      logger.info('Telegram account unlinked', { userId, identityId });
+      await recordAudit('telegram.unlinked', socket, {
+        before: { connected: identity.connected },
+        after: null,
+        metadata: { identityId: identity._id, phone: identity.phone },
+      });
+
+    } catch (error) {
+      logger.error('Telegram unlink error', { userId, error: error.message });
+      socket.emit('telegram:error', { error: 'Failed to remove Telegram account' });
+    }
+  });
+
   /* ================================
      HANDLE SOCKET DISCONNECTION
   ================================ */
@@ -393,47 +781,346 @@ export function handleTelegramEvents(socket, io) {
    UTILITY FUNCTIONS
 ================================ */
 
-// Parse browser from user agent
-function parseBrowser(userAgent) {
-  if (userAgent.includes('Chrome') && !userAgent.includes('Edge')) return 'Chrome';
-  if (userAgent.includes('Firefox')) return 'Firefox';
-  if (userAgent.includes('Safari') && !userAgent.includes('Chrome')) return 'Safari';
-  if (userAgent.includes('Edge')) return 'Edge';
-  if (userAgent.includes('Opera')) return 'Opera';
-  return 'Unknown Browser';
+// Telegram can only be connected once the email address is confirmed.
+// Accounts created before verification existed have no flag and pass.
+async function ensureEmailVerified(userId, socket) {
+  const user = await User.findById(userId).select('emailVerified');
+
+  if (user?.emailVerified === false) {
+    socket.emit('telegram:error', { error: 'Please verify your email before connecting Telegram' });
+    return false;
+  }
+
+  return true;
+}
+
+// Persist a freshly signed-in account and start listening (phone and QR flows).
+// Logging in to an already linked account updates it instead of adding another.
+async function finishLogin(userId, client, socket, phoneNumber) {
+  // Check if still connected
+  if (!client.connected) {
+    throw new Error('Client disconnected during login');
+  }
+
+  const me = await client.getMe();
+
+  // Save session, plus where it was created for the sessions view
+  const sessionString = client.session.save();
+  const { ip, device, location } = await getClientInfo(socket);
+
+  const identity = await TelegramIdentity.findOneAndUpdate(
+    { userId, telegramUserId: me.id.toString() },
+    {
+      phone: phoneNumber || (me.phone ? `+${me.phone}` : null),
+      username: me.username || null,
+      displayName: [me.firstName, me.lastName].filter(Boolean).join(' ') || null,
+      session: await encryptForUser(userId, sessionString),
+      connected: true,
+      connectedAt: new Date(),
+      loginClient: { ip, device, location },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  const identityId = identity._id.toString();
+
+  // Replace any older client for the same account, then hand over the login's client
+  await dropIdentityClient(userId, identityId);
+  pendingLogins.delete(userId);
+  setIdentityClient(userId, identityId, { client, sessionString });
+
+  socket.emit('telegram:loginSuccess', { identity: formatIdentity(userId, identity) });
+  logger.info('Telegram login successful', { userId, identityId, phone: identity.phone });
+  await recordAudit('telegram.connected', socket, {
+    after: { connected: true },
+    metadata: { identityId, phone: identity.phone },
+  });
+
+  // Start listening to channels
+  await startChannelListeners(userId, identityId, client);
+}
+
+// Promise per login step, resolved by telegram:submitCode / submitPassword
+function createPendingLogin() {
+  const waiting = new Map(); // step -> { resolve, reject }
+
+  return {
+    attempts: { code: 0, password: 0 },
+    aborted: null,
+    error: null,
+
+    wait(step) {
+      return new Promise((resolve, reject) => {
+        waiting.set(step, { resolve, reject });
+      });
+    },
+
+    answer(step, value) {
+      const waiter = waiting.get(step);
+      if (!waiter) return false;
+
+      waiting.delete(step);
+      waiter.resolve(value);
+      return true;
+    },
+
+    abort(reason) {
+      this.aborted = reason;
+      waiting.forEach(({ reject }) => reject(new Error(`Login ${reason}`)));
+      waiting.clear();
+    },
+  };
+}
+
+/* ================================
+   CLIENT REGISTRY
+================================ */
+
+function getIdentityClient(userId, identityId) {
+  return userClients.get(userId)?.get(String(identityId));
+}
+
+function setIdentityClient(userId, identityId, clientData) {
+  if (!userClients.has(userId)) {
+    userClients.set(userId, new Map());
+  }
+  userClients.get(userId).set(String(identityId), clientData);
+}
+
+async function dropIdentityClient(userId, identityId) {
+  const clients = userClients.get(userId);
+  const clientData = clients?.get(String(identityId));
+  if (!clientData) return;
+
+  clients.delete(String(identityId));
+  if (clients.size === 0) {
+    userClients.delete(userId);
+  }
+
+  await clientData.client?.disconnect().catch(() => {});
+}
+
+// Stop an in-progress login. With `client`, only if that login is still
+// the current one; with `reason`, its prompts are rejected first.
+async function dropPendingLogin(userId, reason = null, client = null) {
+  const login = pendingLogins.get(userId);
+  if (!login || (client && login.client !== client)) return false;
+
+  pendingLogins.delete(userId);
+  if (reason) {
+    login.pending?.abort(reason);
+  }
+
+  await login.client?.disconnect().catch(() => {});
+  releaseIdleLease(userId);
+  return true;
+}
+
+// The lease covers all of a user's accounts; give it up once none are running
+export function releaseIdleLease(userId) {
+  if (!userClients.has(userId) && !pendingLogins.has(userId)) {
+    releaseLease(userId);
+  }
+}
+
+/* ================================
+   IDENTITIES
+================================ */
+
+// The account an event refers to. Without an ID, falls back to the user's
+// only connected account so single-account clients keep working.
+async function resolveIdentity(userId, identityId, socket) {
+  if (identityId) {
+    const identity = mongoose.isValidObjectId(identityId)
+      ? await TelegramIdentity.findOne({ _id: identityId, userId })
+      : null;
+
+    if (!identity) {
+      socket.emit('telegram:error', { error: 'Telegram account not found' });
+    }
+    return identity;
+  }
+
+  const connected = await TelegramIdentity.find({ userId, connected: true }).limit(2);
+
+  if (connected.length !== 1) {
+    socket.emit('telegram:error', {
+      error: connected.length === 0 ? 'Not connected to Telegram' : 'Choose a Telegram account',
+    });
+    return null;
+  }
+
+  return connected[0];
+}
+
+// Forum topic IDs arrive from the browser as strings; null means whole chat
+function normalizeTopicId(topicId) {
+  const id = parseInt(topicId);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+async function restartChannelListeners(userId, identityId) {
+  const clientData = getIdentityClient(userId, identityId);
+  if (clientData?.client) {
+    await startChannelListeners(userId, identityId.toString(), clientData.client);
+  }
+}
+
+async function expireIdentity(identity) {
+  await dropIdentityClient(identity.userId.toString(), identity._id);
+  await TelegramIdentity.updateOne({ _id: identity._id }, { connected: false, session: null });
+}
+
+function formatIdentity(userId, identity) {
+  return {
+    id: identity._id.toString(),
+    phone: identity.phone,
+    username: identity.username,
+    displayName: identity.displayName,
+    connected: Boolean(identity.connected),
+    connectedAt: identity.connectedAt,
+    active: hasActiveClient(userId, identity._id),
+  };
+}
+
+// Reconnect a linked account's saved session and register it; null if no
+// longer authorized
+export async function restoreClient(userId, identity) {
+  const identityId = identity._id.toString();
+
+  const existing = getIdentityClient(userId, identityId);
+  if (existing?.client?.connected) {
+    return existing.client;
+  }
+
+  // Stored encrypted; only the in-memory copy is plain text
+  const sessionString = await decryptForUser(userId, identity.session);
+
+  const client = new TelegramClient(
+    new StringSession(sessionString),
+    parseInt(process.env.API_ID),
+    process.env.API_HASH,
+    { connectionRetries: 5 }
+  );
+
+  await client.connect();
+
+  // Check if session is still valid
+  const isAuthorized = await client.checkAuthorization();
+
+  if (!isAuthorized) {
+    await client.disconnect().catch(() => {});
+    return null;
+  }
+
+  // Sessions migrated from the single-account schema don't know whose they are yet
+  if (!identity.telegramUserId) {
+    const me = await client.getMe();
+    await TelegramIdentity.updateOne({ _id: identity._id }, { telegramUserId: me.id.toString() });
+  }
+
+  setIdentityClient(userId, identityId, { client, sessionString });
+  return client;
+}
+
+// Check if this worker holds a live client for one account, or any of the user's
+export function hasActiveClient(userId, identityId = null) {
+  if (identityId) {
+    return Boolean(getIdentityClient(userId, identityId)?.client?.connected);
+  }
+
+  const clients = userClients.get(userId);
+  return Boolean(clients && [...clients.values()].some(({ client }) => client?.connected));
 }
 
 // Start listening to subscribed channels
-async function startChannelListeners(userId, client, socket) {
+// Safe to call repeatedly (new tab, new subscription): the previous handler
+// is replaced, and all output goes to the user's room, not a single socket.
+export async function startChannelListeners(userId, identityId, client) {
+  const notifier = userNotifier(userId);
+
   try {
-    // Remove existing event handlers to avoid duplicates
-    client.removeEventHandler();
+    // Remove the previous handler to avoid duplicates
+    const previous = clientHandlers.get(client);
+    if (previous) {
+      client.removeEventHandler(previous.handler, previous.event);
+      clientHandlers.delete(client);
+    }
 
-    // Get enabled channels for this user
-    const channels = await Channel.find({ userId, enabled: true });
+    // Get enabled channels followed from this account
+    const channels = await Channel.find({ userId, telegramIdentityId: identityId, enabled: true });
 
     if (channels.length === 0) {
-      logger.info('No channels to listen to', { userId });
+      logger.info('No channels to listen to', { userId, identityId });
       return;
     }
 
-    // Add event handler for new messages
-    client.addEventHandler(async (event) => {
+    // Add event handler for new, edited and deleted messages
+    const handler = async (event) => {
       try {
+        /* Deleted messages */
+        if (event instanceof Api.UpdateDeleteChannelMessages) {
+          const chatId = utils.getPeerId(new Api.PeerChannel({ channelId: event.channelId }));
+          // Deletes carry no topic; signals are keyed by chat, so any subscription will do
+          const channel = channels.find(c => c.channelId === chatId);
+          if (!channel) return;
+
+          await handleSignalDelete(userId, channel, event.messages, notifier);
+          return;
+        }
+
+        if (event instanceof Api.UpdateDeleteMessages) {
+          // Non-channel deletes carry no chat ID, so try every subscribed basic
+          // group. Channels and supergroups (-100...) number their messages
+          // separately and get UpdateDeleteChannelMessages instead.
+          const seen = new Set();
+          for (const channel of channels) {
+            if (channel.channelId.startsWith('-100') || seen.has(channel.channelId)) continue;
+            seen.add(channel.channelId);
+            await handleSignalDelete(userId, channel, event.messages, notifier);
+          }
+          return;
+        }
+
         // Only process message events
         if (!event.message) return;
 
         const chatId = event.message.chatId?.toString();
         if (!chatId) return;
 
-        // Find if this message is from a subscribed channel
-        const channel = channels.find(c => c.channelId === chatId);
+        const { topicId, replyToMsgId } = getThreadInfo(event.message);
+
+        // Find if this message is from a subscribed channel (or forum topic)
+        const channel = findSubscription(channels, chatId, topicId);
         
         if (!channel) return;
 
-        const messageText = event.message.message;
+        const messageId = event.message.id;
+        const isEdit = event instanceof Api.UpdateEditChannelMessage || event instanceof Api.UpdateEditMessage;
+
+        // Photo signals: OCR the image and parse it together with the caption
+        const { text: messageText, ocrText, image } = await extractMessageText(
+          userId, channel, client, event.message, { isEdit }
+        );
         if (!messageText) return;
 
+        // Overrides and parsing templates can change through the API while
+        // listeners are running
+        const current = await Channel.findById(channel._id).select('overrides parsingTemplates').lean();
+        channel.overrides = current?.overrides || null;
+        channel.parsingTemplates = current?.parsingTemplates || [];
+
+        /* Edited messages */
+        if (isEdit) {
+          await handleSignalEdit(userId, channel, messageId, messageText, notifier);
+          return;
+        }
+
+        /* Replies managing an earlier signal ("close half", "SL to BE") */
+        if (replyToMsgId) {
+          const handled = await handleFollowUp(userId, channel, replyToMsgId, messageText, notifier);
+          if (handled) return;
+        }
+
         logger.info('Signal received', { 
           userId, 
           channel: channel.title,
@@ -441,15 +1128,45 @@ async function startChannelListeners(userId, client, socket) {
         });
 
         // Emit to client for real-time display
-        socket.emit('signal:received', {
+        notifier.emit('signal:received', {
           channelId: channel.channelId,
           channelTitle: channel.title,
+          topicId: channel.topicId || null,
+          topicTitle: channel.topicTitle || null,
+          messageId,
           message: messageText,
+          hasImage: Boolean(image),
           timestamp: new Date(),
         });
 
-        // Process signal on server
-        await processSignal(userId, channel, messageText, socket);
+        // Extraction confidence, then per-channel symbol, trading-hours and open-trade limits
+        const { allowed, reason, settings, signal, extraction } = await evaluateChannelSignal(userId, channel, messageText);
+        if (!allowed) {
+          logger.info('Signal skipped', { userId, channelId: channel.channelId, reason });
+          notifier.emit('signal:skipped', {
+            channelId: channel.channelId,
+            topicId: channel.topicId || null,
+            messageId,
+            reason,
+            confidence: extraction.confidence,
+          });
+          return;
+        }
+
+        // Keep the original so edits/deletes can be diffed against it
+        await recordSignalMessage(userId, channel, messageId, messageText, { signal, ocrText });
+        if (image && signal) {
+          await saveSignalImage(userId, channel, messageId, image);
+        }
+
+        // Copy to the channel's target accounts, sized by its risk settings
+        await executeSignal(userId, channel, messageText, notifier, {
+          messageId,
+          settings,
+          signal,
+          confidence: extraction.confidence,
+          extractor: extraction.extractor,
+        });
 
       } catch (error) {
         logger.error('Message handler error', { 
@@ -457,36 +1174,64 @@ async function startChannelListeners(userId, client, socket) {
           error: error.message 
         });
       }
-    });
+    };
+
+    const rawUpdates = new Raw({});
+    client.addEventHandler(handler, rawUpdates);
+    clientHandlers.set(client, { handler, event: rawUpdates });
 
     logger.info('Channel listeners started', { 
       userId, 
+      identityId,
       channelCount: channels.length,
       channels: channels.map(c => c.title)
     });
 
   } catch (error) {
-    logger.error('Start listeners error', { userId, error: error.message });
-    socket.emit('telegram:error', { error: 'Failed to start channel listeners' });
+    logger.error('Start listeners error', { userId, identityId, error: error.message });
+    notifier.emit('telegram:error', { error: 'Failed to start channel listeners' });
   }
 }
 
-// Clean up inactive clients (call this periodically)
+// A topic subscription wins over one for the whole chat, so a message is
+// handled once even if both exist
+function findSubscription(channels, chatId, topicId) {
+  return channels.find(c => c.channelId === chatId && c.topicId && c.topicId === topicId)
+    || channels.find(c => c.channelId === chatId && !c.topicId);
+}
+
+// Clean up abandoned logins (call this periodically)
 export function cleanupInactiveClients() {
   const now = Date.now();
   const TIMEOUT = 10 * 60 * 1000; // 10 minutes
 
-  userClients.forEach((clientData, userId) => {
-    if (clientData.startTime && (now - clientData.startTime) > TIMEOUT) {
-      if (!clientData.sessionString) {
-        // Only clean up clients that haven't completed login
-        clientData.client?.disconnect().catch(() => {});
-        userClients.delete(userId);
-        logger.info('Cleaned up inactive client', { userId });
-      }
+  pendingLogins.forEach((login, userId) => {
+    if (now - login.startTime > TIMEOUT) {
+      // Only clean up clients that haven't completed login
+      dropPendingLogin(userId, 'timeout', login.client);
+      logger.info('Cleaned up inactive client', { userId });
     }
   });
 }
 
 // Run cleanup every 5 minutes
 setInterval(cleanupInactiveClients, 5 * 60 * 1000);
+
+// Another worker owns this user now - drop our copies of their clients
+onLeaseLost(async (userId) => {
+  const clients = userClients.get(userId);
+  userClients.delete(userId);
+
+  for (const { client } of clients?.values() || []) {
+    await client?.disconnect().catch(() => {});
+  }
+
+  const login = pendingLogins.get(userId);
+  if (login) {
+    pendingLogins.delete(userId);
+    login.pending?.abort('cancelled');
+    await login.client?.disconnect().catch(() => {});
+  }
+
+  logger.info('Telegram clients released after lease loss', { userId });
+});